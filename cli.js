@@ -8,12 +8,21 @@ import logger from './lib/utils/logger.js'; // Note the .js extension, mandatory
 const require = createRequire(import.meta.url);
 const { version } = require('./package.json');
 
+/**
+ * Accumulates a repeatable option into an array (e.g. `--product-url a --product-url b`).
+ *
+ * @param {string} value - The value of the current occurrence.
+ * @param {string[]} [previous] - The values accumulated so far.
+ * @returns {string[]}
+ */
+const collectValues = (value, previous = []) => previous.concat(value);
+
 const errorHandler = function (error) {
     logger.error(error);
     process.exit(1);
 };
 
-program.name('magepack').usage('[generate|bundle] <options...>');
+program.name('magepack').usage('[generate|bundle|why] <options...>');
 
 program
     .version(version, '-v, --version', 'Output the current version.')
@@ -25,17 +34,44 @@ program
     .description(
         'Generate optimization configuration based on given page URLs.'
     )
-    .option('--cms-url <url>', 'CMS page URL.')
-    .option('--category-url <url>', 'Category page URL.')
-    .option('--product-url <url>', 'Product page URL.')
+    .option('--cms-url <url>', 'CMS page URL. Repeat to sample several pages. Not required when declared in the "pages" config section.', collectValues)
+    .option('--category-url <url>', 'Category page URL. Repeat to sample several pages. Not required when declared in the "pages" config section.', collectValues)
+    .option('--product-url <url>', 'Product page URL. Repeat to sample several pages. Not required when declared in the "pages" config section.', collectValues)
+    .option('--url <url>', 'Page URL of any type. The bundle is named after the page type detected from the <body> classes (e.g. catalog-product-view → product). Repeatable.', collectValues)
+    .option('--no-page-type-check', 'Do not fail when a page renders another page type than its bundle expects (e.g. a product URL redirecting to a category or a 404 page).')
+    .option('--aggregation <mode>', 'How samples of one page type are combined: "union", "intersection" or a percentage such as "60%" (module seen on at least 60% of samples).', 'union')
+    .option('--sitemap <url-or-file>', 'Discover page URLs from a sitemap.xml (URL or local file, .gz supported) instead of URL flags.')
+    .option('--sitemap-samples <number>', 'Number of sitemap URLs kept per detected page type.', '1')
+    .option('--sitemap-limit <number>', 'Maximum number of sitemap URLs visited to classify page types.', '30')
+    .option('--sitemap-base-url <url>', 'Visit sitemap URLs on this base URL instead (e.g. a local stand-in of the storefront).')
+    .option('--from-har <dir>', 'Build the config from the HAR files of a directory (one bundle per recorded page type) instead of visiting pages with Chrome.')
+    .option('--from-access-log <file>', 'Build the config from nginx/Apache access logs in the combined format (.gz supported): modules are attributed to the page type of their Referer and weighted by real traffic. Repeatable.', collectValues)
     .option('-u, --auth-username <user>', 'Basic authentication username.')
     .option('-p, --auth-password <password>', 'Basic authentication password.')
+    .option('--customer-login', 'Also collect logged-in variants of the pages and a "customer" bundle (account dashboard, order history, address book). Credentials are read from MAGEPACK_CUSTOMER_EMAIL and MAGEPACK_CUSTOMER_PASSWORD.')
     .option('-d, --debug', 'Enable logging of debugging information.')
     .option('-t, --timeout <seconds>', 'Timeout for browser operations in seconds.', '30')
+    .option('--no-block-requests', 'Do not block analytics, tag managers, chat widgets, images and the other requests of the "requestBlocking" config section while collecting.')
+    .option('--retries <number>', 'Retries of a failing collector, waiting --retry-delay seconds, then twice as long before each further attempt (e.g. 2 in CI against flaky staging servers).', '0')
+    .option('--retry-delay <seconds>', 'Delay before the first retry of a failing collector, in seconds.', '2')
+    .option('--on-collector-failure <policy>', 'When a collector still fails after its retries: "abort" the generation, or "skip" it and keep its bundles from the existing magepack.config.js.', 'abort')
+    .option('--artifacts-dir <dir>', 'Save a full-page screenshot, the final HTML, console messages, failed network requests and a Chrome trace of every failing collector page into this directory.')
+    .option('--artifacts-on-success', 'With --artifacts-dir, also save the artifacts of successful collector pages.')
     .option('--only <bundles>', 'Comma-separated bundle names to generate (e.g. "cms" or "cms,category"). Runs all collectors if omitted.')
+    .option('--passes <number>', 'Visit every page URL this many times and keep the modules seen on enough passes (see --stability); modules missing from some passes are reported.', '1')
+    .option('--stability <percent>', 'With --passes, share of passes a module must show up in to be kept (e.g. "100%" for modules seen on every pass).', '50%')
+    .option('--strategy <name>', 'How modules are split into bundles: "page-type" (vendor, common and one bundle per page type) or "cluster" (modules loaded together grouped by co-occurrence, weighted by the "traffic" config section).', 'page-type')
+    .option('--request-cost <size>', 'With --strategy cluster, the cost of one more request in bytes (e.g. "8KB"): higher values give fewer, larger bundles.')
+    .option('--critical-until <milestone>', 'Split each page bundle into a critical part (modules loaded before "domcontentloaded", "load" or "interaction") and a "<name>-deferred" part RequireJS fetches only once one of its modules is required.')
+    .option('--coverage [action]', 'Record Chrome JS coverage and report the bundled modules executing almost none of their code. Action: "report" (default), "lazy" (move them to a "lazy" bundle) or "exclude" (leave them out of the bundles).')
+    .option('--coverage-threshold <percent>', 'With --coverage, executed share of its code under which a module counts as unused.', '5%')
     .option('--merge', 'Merge generated bundles into existing magepack.config.js instead of replacing. Deduplicates modules already in existing vendor/common.')
+    .option('--stores-output <mode>', 'With a "stores" config section: "combined" (one config, bundle sets keyed by theme) or "separate" (one magepack.config.<store>.js per store).', 'combined')
+    .option('--throttling <profile>', 'Throttle the network and CPU of collector pages: "slow-3g", "fast-3g", "slow-4g", "fast-4g", "cpu-2x", "cpu-4x", "cpu-6x", "mid-range-mobile" (Slow 4G, 4x CPU), "low-end-mobile" (Slow 3G, 6x CPU), or names joined with "+" (e.g. "slow-4g+cpu-4x"). Declared pages may set their own "throttling".')
     .option('--desktop', 'Use a desktop viewport (1920x1080) to capture desktop-specific scripts.')
     .option('--mobile', 'Use a mobile viewport (412x732) to capture mobile-specific scripts (default).')
+    .option('--all-viewports', 'Collect every page in both the mobile and desktop viewports, union the modules and report the viewport-specific ones.')
+    .option('--desktop-bundle', 'With --all-viewports, move desktop-only modules to a separate "desktop" bundle that mobile visitors never download.')
     .action(async (config) => {
         if (config.debug) {
             logger.level = 5;
@@ -50,27 +86,8 @@ program
             config.authPassword = process.env.MAGEPACK_AUTH_PASS;
         }
 
-        // Validate URLs for collectors that will actually run.
-        // --only restricts which collectors run; without it, all three are required.
-        const onlySet = config.only
-            ? new Set(config.only.split(',').map(s => s.trim().toLowerCase()))
-            : null;
-
-        const urlRequirements = [
-            { bundle: 'cms',      flag: '--cms-url',      key: 'cmsUrl' },
-            { bundle: 'category', flag: '--category-url', key: 'categoryUrl' },
-            { bundle: 'product',  flag: '--product-url',  key: 'productUrl' },
-        ];
-
-        const missing = urlRequirements.filter(({ bundle, key }) => {
-            const willRun = !onlySet || onlySet.has(bundle);
-            return willRun && !config[key];
-        });
-
-        if (missing.length > 0) {
-            missing.forEach(({ flag }) => logger.error(`Missing required option: ${flag}`));
-            process.exit(1);
-        }
+        // URL flags are validated in lib/generate.js, once the `pages` section of
+        // magepack.config.js is known (a declared page may replace a URL flag).
 
         // Dynamic Import: Loads lib/generate.js only when this command is run
         try {
@@ -119,6 +136,20 @@ program
         }
     });
 
+program
+    .command('why <module>')
+    .description('Explain why a module is bundled, from the dependency graph written by "generate".')
+    .option('-g, --graph <path>', 'Dependency graph file path.', 'magepack.graph.json')
+    .action(async (moduleName, options) => {
+        try {
+            const whyModule = await import('./lib/why.js');
+            const why = whyModule.default || whyModule;
+            await why(moduleName, options);
+        } catch (error) {
+            errorHandler(error);
+        }
+    });
+
 program
     .command('disable')
     .description('Disable Magepack by removing generated bundles and cleaning RequireJS configurations.')
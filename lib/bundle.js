@@ -230,39 +230,65 @@ export default async (options) => {
     const rawConfig = require(absConfigPath);
 
     let bundles = [];
+    let bundleSets = {};
     let exclusions = [];
 
     if (Array.isArray(rawConfig)) {
         bundles = rawConfig;
     } else {
         bundles = rawConfig.bundles || [];
+        bundleSets = rawConfig.bundleSets || {};
         exclusions = rawConfig.exclusions || [];
     }
 
-    if (!bundles || bundles.length === 0) {
+    if ((!bundles || bundles.length === 0) && Object.keys(bundleSets).length === 0) {
         consola.error("Invalid configuration: 'bundles' list is empty.");
         process.exit(1);
     }
 
     // Validate each bundle entry has the required shape before doing any I/O.
-    bundles.forEach((bundle, i) => {
-        if (!bundle.name || typeof bundle.name !== 'string') {
-            consola.error(`Invalid config: bundles[${i}] is missing a "name" string.`);
-            process.exit(1);
-        }
-        if (!bundle.modules || typeof bundle.modules !== 'object' || Array.isArray(bundle.modules)) {
-            consola.error(`Invalid config: bundle "${bundle.name || i}" is missing a "modules" object.`);
-            process.exit(1);
-        }
-    });
+    const validateBundles = (list, label) => {
+        list.forEach((bundle, i) => {
+            if (!bundle.name || typeof bundle.name !== 'string') {
+                consola.error(`Invalid config: ${label}[${i}] is missing a "name" string.`);
+                process.exit(1);
+            }
+            if (!bundle.modules || typeof bundle.modules !== 'object' || Array.isArray(bundle.modules)) {
+                consola.error(`Invalid config: bundle "${bundle.name || i}" is missing a "modules" object.`);
+                process.exit(1);
+            }
+        });
+    };
 
+    validateBundles(bundles, 'bundles');
     bundles = applyExclusions(bundles, exclusions);
 
+    // Bundle sets keyed by theme ("Vendor/Theme"), written by multi-store generation.
+    Object.entries(bundleSets).forEach(([theme, set]) => {
+        validateBundles(set, `bundleSets["${theme}"]`);
+        bundleSets[theme] = applyExclusions(set, exclusions);
+    });
+
     let locales = await getLocales(process.cwd());
     if (options.theme) {
         locales = locales.filter(l => `${l.vendor}/${l.name}` === options.theme);
     }
 
+    // Each theme gets its own bundle set, `bundles` being the fallback for other themes.
+    const bundlesByLocale = new Map();
+    locales = locales.filter((locale) => {
+        const theme = `${locale.vendor}/${locale.name}`;
+        const localeBundles = bundleSets[theme] || bundles;
+
+        if (localeBundles.length === 0) {
+            consola.warn(`⚠️ No bundle set for theme ${theme}, skipping ${locale.code}.`);
+            return false;
+        }
+
+        bundlesByLocale.set(locale, localeBundles);
+        return true;
+    });
+
     if (locales.length === 0) {
         consola.error("No locales found matching criteria.");
         return;
@@ -276,7 +302,7 @@ export default async (options) => {
     const start = process.hrtime();
 
     const results = await Promise.allSettled(
-        locales.map(locale => processLocale(locale, bundles, options))
+        locales.map(locale => processLocale(locale, bundlesByLocale.get(locale), options))
     );
 
     const [sec, nanosec] = process.hrtime(start);
@@ -288,7 +314,16 @@ export default async (options) => {
         consola.error(`💀 Finished in ${totalSec}s with ${failed.length} errors.`);
         process.exit(1);
     } else {
-        await updateSriHashes(locales, bundles);
+        // One SRI pass per bundle set, with the locales using it.
+        const localesByBundles = new Map();
+        locales.forEach((locale) => {
+            const localeBundles = bundlesByLocale.get(locale);
+            localesByBundles.set(localeBundles, [...(localesByBundles.get(localeBundles) || []), locale]);
+        });
+
+        for (const [localeBundles, setLocales] of localesByBundles) {
+            await updateSriHashes(setLocales, localeBundles);
+        }
         consola.success(`✨ All locales bundled successfully in ${totalSec}s.`);
     }
 };
@@ -9,7 +9,7 @@ import chalk from 'chalk';
  * @param {number} bytes
  * @returns {string}
  */
-const formatBytes = (bytes) => {
+export const formatBytes = (bytes) => {
     if (!Number.isFinite(bytes) || bytes < 0) return 'n/a';
     const units = ['B', 'KB', 'MB'];
     let i = 0;
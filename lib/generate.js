@@ -1,4 +1,3 @@
-import puppeteer from 'puppeteer';
 import { stringify } from 'javascript-stringify';
 import fs from 'node:fs';
 import path from 'node:path';
@@ -6,24 +5,256 @@ import { createRequire } from 'node:module';
 
 import logger from './utils/logger.js';
 import { FILES } from './utils/constants.js';
-import * as collectors from './generate/collector/index.js';
-import extractCommonBundle from './generate/extractCommonBundle.js';
+import collectBundles from './generate/collectBundles.js';
+import collectHarBundles from './generate/har.js';
+import collectAccessLogBundles from './generate/accessLog.js';
+import { normalizePages } from './generate/pageDefinitions.js';
+import { parseAggregation } from './generate/aggregateModules.js';
+import { getCustomerCredentials } from './generate/customerLogin.js';
+import { validateCartOptions } from './generate/restCart.js';
+import { normalizeStores, buildStoreConfig, mergeStoreBundles } from './generate/storeViews.js';
+import { VIEWPORTS, resolveViewports } from './generate/viewports.js';
+import extractCommonBundle, { normalizeTraffic, extractForcedModules } from './generate/extractCommonBundle.js';
+import compileExtractionRules from './generate/extractionRules.js';
+import compileRequestRules from './generate/requestRules.js';
+import splitBundles, { parseByteSize, getModuleSignatures, getBundleSize } from './generate/splitBundles.js';
+import clusterBundles from './generate/clusterBundles.js';
+import { orderModules, writeGraph } from './generate/moduleGraph.js';
+import splitCriticalBundles, { parseMilestone } from './generate/loadTiming.js';
+import applyCoverage, { parseCoverageAction, parseCoverageThreshold } from './generate/coverage.js';
+import { parsePasses, parseStability } from './generate/passes.js';
+import { validateRetryOptions } from './generate/collectorRetry.js';
+import { parseThrottling } from './generate/throttling.js';
+import { formatBytes } from './bundle/service/reporter.js';
+
+/**
+ * Config sections read from the existing `magepack.config.js`, passed to the collectors
+ * under the same key and written back verbatim.
+ * @type {string[]}
+ */
+const PRESERVED_SECTIONS = ['checkout', 'accessLog', 'traffic', 'extraction', 'maxBundleSize', 'requestBlocking'];
+
+/**
+ * Logs the bundles of a generated configuration.
+ *
+ * @param {Array<Object>} bundles - The generated bundles.
+ * @param {string} [label] - The bundle set label (theme), if any.
+ * @param {Map<string, number>} [moduleSizes] - The recorded module sizes, to log bundle sizes.
+ */
+const logBundles = (bundles, label, moduleSizes) => {
+    logger.success(`Generation complete. Outputting the following bundles${label ? ` for ${label}` : ''}:`);
+
+    bundles.forEach((bundle) => {
+        const size = moduleSizes && moduleSizes.size > 0
+            ? ` (${formatBytes(getBundleSize(bundle.modules, moduleSizes))})`
+            : '';
+
+        logger.success(
+            `${bundle.name} - ${Object.keys(bundle.modules).length} modules${size}.`
+        );
+    });
+};
+
+/**
+ * Orders the modules of each bundle after their dependencies, when a graph was recorded.
+ *
+ * @param {Array<Object>} bundles - The final bundles, modified in place.
+ * @param {Map<string, Set<string>>} moduleGraph - The recorded dependency graph.
+ * @returns {Array<Object>} The bundles.
+ */
+const orderBundles = (bundles, moduleGraph) => {
+    if (moduleGraph.size === 0) return bundles;
+
+    bundles.forEach((bundle) => {
+        bundle.modules = orderModules(bundle.modules, moduleGraph);
+    });
+
+    return bundles;
+};
+
+/**
+ * Bundle split strategies (`--strategy`).
+ * @type {string[]}
+ */
+const STRATEGIES = ['page-type', 'cluster'];
+
+/**
+ * Extracts the vendor and common bundles (or clusters modules by co-occurrence with
+ * `--strategy cluster`), moves the modules loaded after the `--critical-until` milestone to
+ * deferred bundles, reports (and moves or drops) the modules `--coverage` found unused, then
+ * splits the bundles exceeding `maxBundleSize` into numbered chunks.
+ * Modules are finally ordered after their dependencies inside each bundle.
+ *
+ * @param {Array<Object>} bundles - The collected page bundles.
+ * @param {Object} generationConfig - The generation configuration.
+ * @returns {Array<Object>} The final bundles.
+ */
+const buildFinalBundles = (bundles, generationConfig) => {
+    // Usage signatures are read before extraction empties the page bundles.
+    const signatures = getModuleSignatures(bundles);
+
+    const finalBundles = generationConfig.strategy === 'cluster'
+        ? clusterBundles(bundles, {
+            traffic: generationConfig.traffic,
+            moduleSizes: generationConfig.moduleSizes,
+            requestCost: generationConfig.requestCost ? parseByteSize(generationConfig.requestCost) : undefined,
+            extraction: generationConfig.extraction,
+        })
+        : extractCommonBundle(bundles, {
+            traffic: generationConfig.traffic,
+            extraction: generationConfig.extraction,
+        });
+
+    const timedBundles = generationConfig.criticalUntil === undefined
+        ? finalBundles
+        : splitCriticalBundles(finalBundles, {
+            criticalUntil: generationConfig.criticalUntil,
+            moduleTimings: generationConfig.moduleTimings,
+        });
+
+    const coveredBundles = generationConfig.coverage === undefined
+        ? timedBundles
+        : applyCoverage(timedBundles, {
+            action: generationConfig.coverage,
+            threshold: generationConfig.coverageThreshold,
+            moduleCoverage: generationConfig.moduleCoverage,
+            moduleSizes: generationConfig.moduleSizes,
+        });
+
+    const sizedBundles = generationConfig.maxBundleSize === undefined
+        ? coveredBundles
+        : splitBundles(coveredBundles, {
+            maxBundleSize: generationConfig.maxBundleSize,
+            moduleSizes: generationConfig.moduleSizes,
+            signatures,
+        });
+
+    return orderBundles(sizedBundles, generationConfig.moduleGraph);
+};
+
+/**
+ * Writes a configuration file.
+ * Uses synchronous write to ensure CLI process doesn't exit before IO completion.
+ *
+ * @param {string} outputPath - Absolute path of the file to write.
+ * @param {Object} finalConfig - The configuration object.
+ */
+const writeConfig = (outputPath, finalConfig) => {
+    fs.writeFileSync(
+        outputPath,
+        `module.exports = ${stringify(finalConfig, null, '  ')};`
+    );
+
+    logger.info(`Configuration saved to: ${outputPath}`);
+};
+
+/**
+ * Collects every store view in its own session and writes the bundle sets keyed by theme:
+ * all in `magepack.config.js` (`combined`), or one `magepack.config.<store>.js` per store
+ * (`separate`). Store views sharing a theme are unioned before common module extraction.
+ *
+ * @param {Object} generationConfig - The global generation configuration.
+ * @param {Array<Object>} stores - The normalized store entries.
+ * @param {Object} collectionOptions - Options passed to `collectBundles`.
+ * @param {function(string=): Object} buildPreservedConfig - Returns the user-maintained config sections
+ *   (of one store, for its own config file, when given a store name).
+ * @returns {Promise<void>}
+ */
+const generateStores = async (generationConfig, stores, collectionOptions, buildPreservedConfig) => {
+    const storesOutput = generationConfig.storesOutput || 'combined';
+
+    if (!['combined', 'separate'].includes(storesOutput)) {
+        throw new Error(`Invalid --stores-output value "${storesOutput}". Expected "combined" or "separate".`);
+    }
+
+    if (generationConfig.merge) {
+        throw new Error('--merge is not supported with the "stores" config section.');
+    }
+
+    /** @type {Map<string, Array<Array<Object>>>} Collected bundles per theme, one list per store. */
+    const collectedByTheme = new Map();
+    const graphPath = path.resolve(FILES.MAGEPACK_GRAPH);
+    const writtenBundles = [];
+
+    for (const store of stores) {
+        logger.info(`🏬 Collecting store view "${store.name}" (${store.theme})...`);
+        const storeConfig = buildStoreConfig(generationConfig, store);
+        storeConfig.previousBundles = generationConfig.previousBundleSets[store.theme] || [];
+        const bundles = await collectBundles(storeConfig, collectionOptions);
+
+        if (storesOutput === 'separate') {
+            const storeBundles = buildFinalBundles(bundles, generationConfig);
+            logBundles(storeBundles, `${store.name} (${store.theme})`, generationConfig.moduleSizes);
+            writtenBundles.push(...storeBundles);
+
+            writeConfig(
+                path.resolve(FILES.MAGEPACK_CONFIG.replace(/\.js$/, `.${store.name}.js`)),
+                { bundleSets: { [store.theme]: storeBundles }, ...buildPreservedConfig(store.name) }
+            );
+            continue;
+        }
+
+        if (!collectedByTheme.has(store.theme)) collectedByTheme.set(store.theme, []);
+        collectedByTheme.get(store.theme).push(bundles);
+    }
+
+    if (storesOutput === 'separate') {
+        writeGraph(graphPath, generationConfig.moduleGraph, writtenBundles, generationConfig.moduleSizes);
+        return;
+    }
+
+    const bundleSets = {};
+    collectedByTheme.forEach((bundleLists, theme) => {
+        bundleSets[theme] = buildFinalBundles(mergeStoreBundles(bundleLists), generationConfig);
+        logBundles(bundleSets[theme], theme, generationConfig.moduleSizes);
+    });
+
+    writeConfig(path.resolve(FILES.MAGEPACK_CONFIG), { bundleSets, ...buildPreservedConfig() });
+    writeGraph(graphPath, generationConfig.moduleGraph, Object.values(bundleSets).flat(), generationConfig.moduleSizes);
+};
 
 /**
  * Generates the Magepack bundling configuration by launching a Puppeteer browser
  * and visiting specific storefront pages to collect RequireJS dependencies.
  *
  * This module acts as the central orchestrator. It initializes the browser instance
- * with mobile-first settings and iterates through defined collectors (CMS, Category, Product, Checkout).
+ * with mobile-first settings and iterates through defined collectors (CMS, Category, Product, Checkout)
+ * plus one collector per page declared in the `pages` section of `magepack.config.js`.
  *
  * @param {Object} generationConfig - The configuration object from the CLI.
- * @param {string} generationConfig.cmsUrl - URL of the CMS page to scan.
- * @param {string} generationConfig.categoryUrl - URL of the Category page to scan.
- * @param {string} generationConfig.productUrl - URL of the Product page to scan.
+ * @param {string|string[]} generationConfig.cmsUrl - URL(s) of the CMS page(s) to scan.
+ * @param {string|string[]} generationConfig.categoryUrl - URL(s) of the Category page(s) to scan.
+ * @param {string|string[]} generationConfig.productUrl - URL(s) of the Product page(s) to scan.
+ * @param {string} [generationConfig.aggregation='union'] - How samples of one page type are combined.
+ * @param {string} [generationConfig.sitemap] - Sitemap URL or file used to discover page URLs.
+ * @param {string[]} [generationConfig.url] - URLs whose bundle is named after their detected page type.
+ * @param {boolean} [generationConfig.customerLogin] - Also collect logged-in variants and the `customer` bundle.
+ * @param {boolean} [generationConfig.pageTypeCheck=true] - Fail collectors whose pages render an unexpected page type.
  * @param {string} [generationConfig.authUsername] - HTTP Basic Auth username (optional).
  * @param {string} [generationConfig.authPassword] - HTTP Basic Auth password (optional).
  * @param {string|number} generationConfig.timeout - Global timeout for browser operations in seconds.
  * @param {boolean} [generationConfig.skipCheckout] - Whether to skip the checkout bundle generation.
+ * @param {boolean} [generationConfig.desktop] - Collect in the desktop viewport instead of the mobile one.
+ * @param {boolean} [generationConfig.allViewports] - Collect every page in both the mobile and desktop viewports.
+ * @param {boolean} [generationConfig.desktopBundle] - With `allViewports`, move desktop-only modules to a `desktop` bundle.
+ * @param {string} [generationConfig.fromHar] - Directory of HAR files to build the config from, without a browser.
+ * @param {string[]} [generationConfig.fromAccessLog] - Access logs to build the config from, without a browser.
+ * @param {string} [generationConfig.strategy='page-type'] - Bundle split strategy: `page-type` or `cluster`.
+ * @param {string} [generationConfig.requestCost] - With `cluster`, the cost of one request (bytes or `'8KB'`).
+ * @param {string} [generationConfig.criticalUntil] - Milestone splitting page bundles into critical and deferred parts.
+ * @param {string|boolean} [generationConfig.coverage] - Record JS coverage and `report`, `lazy` or `exclude` unused modules.
+ * @param {string} [generationConfig.coverageThreshold='5%'] - Executed share under which a module is unused.
+ * @param {string|number} [generationConfig.passes=1] - Number of visits of every page URL.
+ * @param {string} [generationConfig.artifactsDir] - Directory receiving the debugging artifacts of failed collector pages.
+ * @param {boolean} [generationConfig.artifactsOnSuccess] - Also save the artifacts of successful collector pages.
+ * @param {string} [generationConfig.throttling] - Network and CPU throttling profile of collector pages.
+ * @param {boolean} [generationConfig.blockRequests=true] - False to disable the `requestBlocking` rules.
+ * @param {string|number} [generationConfig.retries] - Retries of a failing collector.
+ * @param {string|number} [generationConfig.retryDelay] - First retry delay in seconds, doubled at each retry.
+ * @param {string} [generationConfig.onCollectorFailure='abort'] - `abort`, or `skip` to keep the previous bundles.
+ * @param {string} [generationConfig.stability='50%'] - Share of passes a module must show up in to be kept.
+ * @param {string} [generationConfig.storesOutput='combined'] - With a `stores` config section: `combined`
+ *   (one config, bundle sets keyed by theme) or `separate` (one `magepack.config.<store>.js` per store).
  * @returns {Promise<void>} Resolves when the configuration file has been written to disk.
  */
 export default async (generationConfig) => {
@@ -37,25 +268,21 @@ export default async (generationConfig) => {
      */
     const isHeadless = process.env.MAGEPACK_HEADFUL ? false : 'shell';
 
-    
-    // Mobile-First Viewport Configuration (Pixel 5/Generic Mobile)
-    // Crucial for collecting mobile-specific JS/CSS logic in Magento.
-    const isDesktop = generationConfig.desktop === true;
-    const viewportConfig = isDesktop ? {
-        width: 1920,
-        height: 1080,
-        isMobile: false,
-        hasTouch: false
-    } : {
-        width: 390,
-        height: 844,
-        isMobile: true,
-        hasTouch: true
-    };
+    // Mobile first: crucial for collecting mobile-specific JS/CSS logic in Magento.
+    // --desktop switches to a desktop viewport, --all-viewports collects in both.
+    const viewports = resolveViewports(generationConfig);
 
     logger.info(`Starting generation with timeout: ${generationConfig.timeout}s`);
-    logger.info(`Viewport mode: ${isDesktop ? 'Desktop (1920x1080)' : 'Mobile (412x732)'}`);
-    logger.info('Launching Puppeteer browser...');
+    logger.info(`Viewport mode: ${viewports.map(name => `${name} (${VIEWPORTS[name].width}x${VIEWPORTS[name].height})`).join(' + ')}`);
+    const offline = Boolean(generationConfig.fromHar || generationConfig.fromAccessLog);
+
+    if (generationConfig.fromHar && generationConfig.fromAccessLog) {
+        throw new Error('--from-har and --from-access-log cannot be combined.');
+    }
+
+    if (!offline) {
+        logger.info('Launching Puppeteer browser...');
+    }
 
     // --- 1. PERSISTENCE STRATEGY (Safety Check) ---
     // We read the existing config to preserve 'exclusions', 'selectors', and
@@ -64,6 +291,11 @@ export default async (generationConfig) => {
     let preservedExclusions = [];
     let customSelectors = {};
     let preservedBundles = [];
+    let declaredPages = [];
+    let declaredStores = [];
+    let previousBundles = [];
+    let previousBundleSets = {};
+    const preservedSections = {};
 
     if (fs.existsSync(configPath)) {
         try {
@@ -83,6 +315,30 @@ export default async (generationConfig) => {
                     logger.info(`Loaded custom selector overrides from config.`);
                 }
 
+                // Declared page types (one bundle per entry). Kept verbatim for the output.
+                if (existingConfig.pages) {
+                    declaredPages = existingConfig.pages;
+                }
+
+                // Store views (one collection session each). Kept verbatim for the output.
+                if (existingConfig.stores) {
+                    declaredStores = existingConfig.stores;
+                }
+
+                PRESERVED_SECTIONS.forEach((key) => {
+                    if (existingConfig[key] !== undefined) {
+                        preservedSections[key] = existingConfig[key];
+                    }
+                });
+
+                // Previous bundles, kept for collectors failing with --on-collector-failure skip.
+                if (Array.isArray(existingConfig.bundles)) {
+                    previousBundles = existingConfig.bundles;
+                }
+                if (existingConfig.bundleSets) {
+                    previousBundleSets = existingConfig.bundleSets;
+                }
+
                 // In merge mode, preserve existing bundles so we can merge into them.
                 if (generationConfig.merge && Array.isArray(existingConfig.bundles)) {
                     preservedBundles = existingConfig.bundles;
@@ -96,117 +352,171 @@ export default async (generationConfig) => {
 
     // Merge custom selectors into the generation config
     generationConfig.selectors = customSelectors;
+    generationConfig.pages = normalizePages(declaredPages);
+    generationConfig.previousBundles = previousBundles;
+    generationConfig.previousBundleSets = previousBundleSets;
+    Object.assign(generationConfig, preservedSections);
+
+    // Fail fast on missing customer credentials and cart options, before launching Chrome.
+    if (generationConfig.customerLogin) {
+        getCustomerCredentials();
+    }
+    if (!offline) {
+        validateCartOptions(generationConfig.checkout);
+    }
 
-    /**
-     * @type {import('puppeteer').Browser}
-     */
-    const browser = await puppeteer.launch({
-        headless: isHeadless,
-        args: [
-            // Required for Docker/CI environments to prevent permission issues
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            // Prevents /dev/shm crashes on low-memory containers (Docker default is 64MB)
-            '--disable-dev-shm-usage',
-            // Disabling GPU hardware acceleration for headless stability
-            '--disable-gpu',
-            '--no-first-run',
-            '--no-zygote'
-        ],
-        defaultViewport: viewportConfig,
-        ignoreHTTPSErrors: true,
-    });
-
-    // Create a clean browser context to isolate cookies/storage if needed.
-    const browserContext = await browser.createBrowserContext();
-
-    // Create a mutable copy of collectors to manage the execution list.
-    const activeCollectors = { ...collectors };
+    // Fail fast on an unknown --aggregation value (page-level values are checked by normalizePages).
+    if (generationConfig.aggregation) {
+        parseAggregation(generationConfig.aggregation);
+    }
 
-    // --only <bundles>: restrict to comma-separated collector names (e.g. "cms" or "cms,category").
-    // Supersedes the removed --skip-checkout flag (use --only cms,category,product instead).
-    if (generationConfig.only) {
-        const allowedNames = new Set(
-            generationConfig.only.split(',').map(s => s.trim().toLowerCase())
-        );
-        for (const name of Object.keys(activeCollectors)) {
-            if (typeof activeCollectors[name] === 'function' && !allowedNames.has(name)) {
-                delete activeCollectors[name];
-                logger.info(`Skipping collector "${name}" (not in --only list).`);
-            }
+    // Fail fast on invalid traffic weights, extraction and request blocking rules, strategy and byte budget.
+    compileExtractionRules(generationConfig.extraction);
+    compileRequestRules(generationConfig.requestBlocking);
+    if (generationConfig.strategy && !STRATEGIES.includes(generationConfig.strategy)) {
+        throw new Error(`Invalid --strategy value "${generationConfig.strategy}". Expected ${STRATEGIES.map(s => `"${s}"`).join(' or ')}.`);
+    }
+    if (generationConfig.strategy === 'cluster' && generationConfig.merge) {
+        throw new Error('--strategy cluster cannot be combined with --merge.');
+    }
+    if (generationConfig.requestCost !== undefined) {
+        parseByteSize(generationConfig.requestCost);
+    }
+    if (generationConfig.maxBundleSize !== undefined) {
+        parseByteSize(generationConfig.maxBundleSize);
+    }
+    if (generationConfig.criticalUntil !== undefined) {
+        generationConfig.criticalUntil = parseMilestone(generationConfig.criticalUntil);
+    }
+    if (generationConfig.coverage !== undefined) {
+        generationConfig.coverage = parseCoverageAction(generationConfig.coverage);
+    }
+    if (generationConfig.coverageThreshold !== undefined) {
+        parseCoverageThreshold(generationConfig.coverageThreshold);
+    }
+    if (generationConfig.passes !== undefined) {
+        generationConfig.passes = parsePasses(generationConfig.passes);
+        if (generationConfig.passes > 1 && offline) {
+            logger.warn('⚠️ --passes only applies to pages visited with Chrome: ignored for offline generation.');
+        }
+    }
+    if (generationConfig.stability !== undefined) {
+        parseStability(generationConfig.stability);
+    }
+    if (generationConfig.throttling !== undefined) {
+        generationConfig.throttling = parseThrottling(generationConfig.throttling);
+        if (offline) {
+            logger.warn('⚠️ --throttling only applies to pages visited with Chrome: ignored for offline generation.');
+        } else if (generationConfig.throttling) {
+            logger.info(`🐢 Throttling: ${generationConfig.throttling.label}.`);
         }
     }
+    validateRetryOptions(generationConfig);
 
-    logger.info('Collecting bundle modules...');
+    // Filled by the collectors (and HAR files) with the uncompressed size and load timings of
+    // each module, and by the collectors with the dependencies of each module.
+    generationConfig.moduleSizes = new Map();
+    generationConfig.moduleGraph = new Map();
+    generationConfig.moduleTimings = new Map();
 
-    let bundles = [];
+    // Only recorded on demand: JS coverage slows every page down.
+    if (generationConfig.coverage !== undefined) {
+        generationConfig.moduleCoverage = new Map();
+    }
 
-    // Split collectors into two execution groups:
-    //   - parallel: cms, category, product — fully independent, run concurrently.
-    //   - sequential: checkout — must run AFTER parallel phase because it needs
-    //     a populated cart (product page + add-to-cart) to navigate to checkout.
-    const { SEQUENTIAL_COLLECTORS } = collectors;
-    const parallelEntries = [];
-    const sequentialEntries = [];
+    if (normalizeTraffic(generationConfig.traffic)) {
+        logger.info(`Weighting common extraction by traffic: ${Object.keys(generationConfig.traffic).join(', ')}`);
+    }
 
-    for (const [name, collectorFn] of Object.entries(activeCollectors)) {
-        if (typeof collectorFn !== 'function') continue;
-        (SEQUENTIAL_COLLECTORS.has(name) ? sequentialEntries : parallelEntries).push([name, collectorFn]);
+    if (generationConfig.pages.length > 0) {
+        logger.info(`Loaded ${generationConfig.pages.length} declared page(s): ${generationConfig.pages.map(p => p.name).join(', ')}`);
     }
 
-    // --- PARALLEL PHASE ---
-    if (parallelEntries.length > 0) {
-        logger.info(`Running ${parallelEntries.length} collector(s) in parallel: ${parallelEntries.map(([n]) => n).join(', ')}`);
+    const stores = normalizeStores(declaredStores);
+    const collectionOptions = { timeout, viewports, headless: isHeadless };
 
-        const parallelResults = await Promise.allSettled(
-            parallelEntries.map(([name, collectorFn]) =>
-                collectorFn(browserContext, { ...generationConfig, timeout })
-                    .then(result => ({ name, result }))
-            )
-        );
+    /**
+     * Base of every written config: the user-maintained sections, kept as written.
+     * The config file of one store (`--stores-output separate`) has no `stores` section and
+     * takes the `pages`, `selectors` and `checkout` the store entry overrides.
+     *
+     * @param {string} [storeName] - The store of a `magepack.config.<store>.js` file.
+     * @returns {Object}
+     */
+    const buildPreservedConfig = (storeName) => {
+        const preserved = {};
 
-        for (const settled of parallelResults) {
-            if (settled.status === 'rejected') {
-                logger.error('A parallel collector failed:');
-                logger.error(settled.reason);
-                await browser.close();
-                process.exit(1);
-            }
-            const { name, result } = settled.value;
-            logger.debug(`Collector "${name}" completed.`);
-            if (Array.isArray(result)) {
-                bundles.push(...result);
-            } else {
-                bundles.push(result);
-            }
+        // Only add exclusions key if we actually have some, to keep config clean
+        if (preservedExclusions.length > 0) {
+            preserved.exclusions = preservedExclusions;
         }
-    }
 
-    // --- SEQUENTIAL PHASE (checkout) ---
-    for (const [name, collectorFn] of sequentialEntries) {
-        try {
-            logger.debug(`Starting sequential collector: ${name}`);
-            const result = await collectorFn(browserContext, { ...generationConfig, timeout });
-            if (Array.isArray(result)) {
-                bundles.push(...result);
-            } else {
-                bundles.push(result);
-            }
-        } catch (error) {
-            logger.error(`Collector "${name}" failed with error:`);
-            logger.error(error);
-            await browser.close();
-            process.exit(1);
+        // Persist custom selectors if they were used/loaded
+        if (Object.keys(customSelectors).length > 0) {
+            preserved.selectors = customSelectors;
+        }
+
+        // Persist declared pages and store views as written by the user
+        if (declaredPages.length > 0) {
+            preserved.pages = declaredPages;
+        }
+        if (declaredStores.length > 0 && !storeName) {
+            preserved.stores = declaredStores;
         }
-    }
 
-    logger.debug('Finished collection, closing the browser.');
+        Object.assign(preserved, preservedSections);
 
-    await browser.close();
+        const store = storeName && declaredStores.find(entry => entry.name === storeName);
+        if (store) {
+            ['pages', 'selectors', 'checkout'].forEach((key) => {
+                if (store[key] !== undefined) preserved[key] = store[key];
+            });
+        }
+
+        return preserved;
+    };
+
+    if (stores.length > 0 && offline) {
+        logger.warn(
+            `⚠️ The "stores" config section only applies to pages visited with Chrome: ignored for offline generation. ` +
+            `A single config is built from ${generationConfig.fromHar ? 'the HAR files' : 'the access logs'} (the section is kept).`
+        );
+    } else if (stores.length > 0) {
+        await generateStores(generationConfig, stores, collectionOptions, buildPreservedConfig);
+        return;
+    }
+
+    // --from-har / --from-access-log: offline generation, no browser involved.
+    let bundles;
+    if (generationConfig.fromHar) {
+        bundles = await collectHarBundles(generationConfig.fromHar, generationConfig);
+    } else if (generationConfig.fromAccessLog) {
+        const collected = await collectAccessLogBundles(generationConfig.fromAccessLog, generationConfig);
+        bundles = collected.bundles;
+
+        // Measured page views replace the previous ones: written as the "traffic" section
+        // and used to weight common extraction.
+        if (Object.keys(collected.traffic).length > 0) {
+            preservedSections.traffic = collected.traffic;
+            generationConfig.traffic = collected.traffic;
+        }
+    } else {
+        bundles = await collectBundles(generationConfig, collectionOptions);
+    }
 
     if (generationConfig.merge && preservedBundles.length > 0) {
         logger.info('Merge mode: deduplicating against existing vendor/common bundles...');
 
+        if (generationConfig.maxBundleSize !== undefined) {
+            logger.warn('⚠️ "maxBundleSize" is not applied in merge mode: regenerate without --merge to split bundles.');
+        }
+        if (generationConfig.criticalUntil !== undefined) {
+            logger.warn('⚠️ --critical-until is not applied in merge mode: regenerate without --merge to defer modules.');
+        }
+        if (generationConfig.coverage !== undefined) {
+            logger.warn('⚠️ --coverage is not applied in merge mode: regenerate without --merge to report unused modules.');
+        }
+
         // Build a set of all module names already covered by existing bundles.
         // This prevents the same module appearing in both an existing bundle and a new one.
         const existingModuleSet = new Set();
@@ -237,47 +547,32 @@ export default async (generationConfig) => {
             if (!existingNames.has(b.name)) mergedBundles.push(b);
         });
 
+        // Honour extraction.vendor / extraction.common in existing and new bundles alike.
+        const forced = extractForcedModules(mergedBundles, generationConfig.extraction);
+        ['vendor', 'common'].forEach((target, index) => {
+            const moved = Object.keys(forced[target]).length;
+            if (moved === 0) return;
+
+            let targetBundle = mergedBundles.find(b => b.name === target);
+            if (!targetBundle) {
+                targetBundle = { name: target, modules: {} };
+                mergedBundles.splice(index, 0, targetBundle);
+            }
+            Object.assign(targetBundle.modules, forced[target]);
+            logger.info(`  [${target}] Moved ${moved} module(s) forced by the "extraction" config section.`);
+        });
+
         bundles = mergedBundles;
         logger.success(`Merge complete. Total bundles: ${bundles.length}`);
     } else {
         logger.debug('Extracting common modules into shared bundle...');
         // Extract modules shared across bundles to reduce redundancy (DRY output).
-        bundles = extractCommonBundle(bundles);
+        bundles = buildFinalBundles(bundles, generationConfig);
     }
 
-    logger.success('Generation complete. Outputting the following bundles:');
-
-    bundles.forEach((bundle) => {
-        logger.success(
-            `${bundle.name} - ${Object.keys(bundle.modules).length} modules.`
-        );
-    });
-
-    /**
-     * Write the final configuration to `magepack.config.js`.
-     * Uses synchronous write to ensure CLI process doesn't exit before IO completion.
-     */
-    const outputPath = path.resolve('magepack.config.js');
+    logBundles(bundles, undefined, generationConfig.moduleSizes);
 
     // --- 2. CONSTRUCT FINAL OUTPUT ---
-    const finalConfig = {
-        bundles: bundles
-    };
-
-    // Only add exclusions key if we actually have some, to keep config clean
-    if (preservedExclusions.length > 0) {
-        finalConfig.exclusions = preservedExclusions;
-    }
-
-    // Persist custom selectors if they were used/loaded
-    if (Object.keys(customSelectors).length > 0) {
-        finalConfig.selectors = customSelectors;
-    }
-
-    fs.writeFileSync(
-        outputPath,
-        `module.exports = ${stringify(finalConfig, null, '  ')};`
-    );
-    
-    logger.info(`Configuration saved to: ${outputPath}`);
+    writeConfig(path.resolve(FILES.MAGEPACK_CONFIG), { bundles, ...buildPreservedConfig() });
+    writeGraph(path.resolve(FILES.MAGEPACK_GRAPH), generationConfig.moduleGraph, bundles, generationConfig.moduleSizes);
 };
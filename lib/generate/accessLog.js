@@ -0,0 +1,257 @@
+/**
+ * @file lib/generate/accessLog.js
+ * @description Builds bundles weighted by real traffic from nginx/Apache access logs.
+ *
+ * `magepack generate --from-access-log <file>` reads access logs in the combined format
+ * (plain or gzipped):
+ *
+ *   1.2.3.4 - - [10/Oct/2026:13:55:36 +0000] "GET /static/version1/frontend/Magento/luma/en_US/mage/url.js HTTP/2.0" 200 1234 "https://mysite.test/bag.html" "Mozilla/5.0 ..."
+ *
+ * Page requests are counted per page type (page views). Static module requests are
+ * attributed to the page type of their `Referer`. A page load is a distinct client
+ * (IP + user agent) / referer pair having requested modules: the share of loads of a type
+ * requesting a module is compared to `--aggregation` (e.g. `20%`) to keep it in the bundle.
+ * Browser-cached modules are not requested again, so shares are measured on cold loads.
+ *
+ * Log lines only carry URLs, so page types come from URL rules: core Magento routes are
+ * known, SEO URLs (`.html`) must be declared in the `accessLog.pageTypes` config key:
+ *
+ *   accessLog: {
+ *       pageTypes: {
+ *           category: ['^/(women|men|gear)(/[^/]+)?\\.html$'],
+ *           product: ['\\.html$'],
+ *       },
+ *   }
+ *
+ * The page views per type are returned as `traffic`, written to the config. That section alone
+ * weights the vendor/common split (see `extractCommonBundle.js`): the site-wide share of loads
+ * requesting each module is only reported, with `--debug`.
+ *
+ * @module generate/accessLog
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import zlib from 'node:zlib';
+
+import logger from '../utils/logger.js';
+import { parseAggregation, DEFAULT_AGGREGATION } from './aggregateModules.js';
+import mapStaticUrl, { isExcludedModule } from './mapStaticUrl.js';
+import { validateBundleName } from './pageDefinitions.js';
+
+/**
+ * Combined log format: ip, identity, user, [time], "request", status, bytes, "referer", "user agent".
+ * @type {RegExp}
+ */
+const COMBINED_LOG_REGEX = /^(\S+) \S+ \S+ \[[^\]]+\] "(\S+) (\S+)[^"]*" (\d{3}) \S+ "([^"]*)" "([^"]*)"/;
+
+/**
+ * URL rules of the core Magento routes, per page type. Tested against the URL path
+ * after the user rules of `accessLog.pageTypes`.
+ * @type {Object<string, string[]>}
+ */
+const DEFAULT_PAGE_TYPE_RULES = {
+    cms: ['^/$', '^/cms/'],
+    category: ['^/catalog/category/view/'],
+    product: ['^/catalog/product/view/'],
+    cart: ['^/checkout/cart/?$'],
+    checkout: ['^/checkout/?$', '^/checkout/index/'],
+    search: ['^/catalogsearch/'],
+    customer: ['^/customer/account/?$', '^/customer/address/', '^/sales/order/', '^/wishlist/'],
+};
+
+/**
+ * Requests that are never page views: static files, media, APIs and AJAX endpoints.
+ * @type {RegExp}
+ */
+const NON_PAGE_REGEX = /^\/(static|media|rest|graphql|soap|pub|customer\/section\/load|page_cache\/block|.*\.(js|css|json|map|png|jpe?g|gif|webp|avif|svg|ico|woff2?|ttf|eot|txt|xml)$)/i;
+
+/**
+ * Compiles the page type rules, user rules first. Page types become bundle names.
+ *
+ * @param {Object<string, string[]>} [userRules] - The `accessLog.pageTypes` config key.
+ * @returns {Array<{type: string, pattern: RegExp}>}
+ * @throws {Error} On invalid page type names or regular expressions.
+ */
+const compileRules = (userRules = {}) => {
+    const rules = [];
+
+    Object.keys(userRules).forEach(type => validateBundleName(type, 'accessLog.pageTypes'));
+
+    [userRules, DEFAULT_PAGE_TYPE_RULES].forEach((ruleSet) => {
+        Object.entries(ruleSet).forEach(([type, patterns]) => {
+            [].concat(patterns).forEach((pattern) => {
+                try {
+                    rules.push({ type, pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern) });
+                } catch (e) {
+                    throw new Error(`Invalid config: accessLog.pageTypes.${type} has an invalid pattern "${pattern}": ${e.message}`);
+                }
+            });
+        });
+    });
+
+    return rules;
+};
+
+/**
+ * Returns the page type of a page URL (absolute or path-only).
+ *
+ * @param {string} url - The page URL.
+ * @param {Array<{type: string, pattern: RegExp}>} rules - The compiled rules.
+ * @returns {string|null} The page type, or null when no rule matches.
+ */
+const classifyPageUrl = (url, rules) => {
+    let pathname;
+    try {
+        pathname = new URL(url, 'http://localhost').pathname;
+    } catch (e) {
+        return null;
+    }
+
+    const rule = rules.find(({ pattern }) => pattern.test(pathname));
+    return rule ? rule.type : null;
+};
+
+/**
+ * Reads a log file line by line, gunzipping `.gz` files.
+ *
+ * @param {string} file - The log file path.
+ * @returns {readline.Interface}
+ */
+const readLines = (file) => {
+    let input = fs.createReadStream(file);
+    if (/\.gz$/i.test(file)) {
+        input = input.pipe(zlib.createGunzip());
+    }
+
+    return readline.createInterface({ input, crlfDelay: Infinity });
+};
+
+/**
+ * Parses access logs and builds one bundle per page type, plus the page views per type.
+ *
+ * @param {string[]} files - The access log files.
+ * @param {Object} config - The generation configuration.
+ * @param {Object} [config.accessLog] - The `accessLog` config key (`pageTypes` URL rules).
+ * @param {string} [config.aggregation] - Minimum share of page loads requesting a module (e.g. `20%`).
+ * @param {string} [config.only] - Comma-separated bundle names to keep.
+ * @returns {Promise<{bundles: Array<Object>, traffic: Object<string, number>}>}
+ * @throws {Error} When a file cannot be read or no module request is found.
+ */
+export default async (files, config) => {
+    const rules = compileRules((config.accessLog || {}).pageTypes);
+    const minShare = parseAggregation(config.aggregation || DEFAULT_AGGREGATION);
+
+    /** @type {Object<string, number>} Page views per page type. */
+    const traffic = {};
+    /** @type {Map<string, number>} Page load ids, so that the sets below hold numbers instead of long strings. */
+    const loadIds = new Map();
+    /** @type {Map<string, {url: string, loads: Set<number>, modules: Map<string, {path: string, loads: Set<number>}>}>} */
+    const pageTypes = new Map();
+    let lines = 0;
+    let unmatched = 0;
+
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Access log not found: ${path.resolve(file)}`);
+        }
+
+        logger.info(`📜 Reading access log ${file}...`);
+
+        for await (const line of readLines(file)) {
+            const match = line.match(COMBINED_LOG_REGEX);
+            if (!match) continue;
+            lines++;
+
+            const [, ip, method, url, status, referer, userAgent] = match;
+            if (method !== 'GET' || status[0] !== '2' && status !== '304') continue;
+
+            const module = mapStaticUrl(url);
+
+            // --- Page view ---
+            if (!module) {
+                if (status === '200' && !NON_PAGE_REGEX.test(url)) {
+                    const type = classifyPageUrl(url, rules);
+                    if (type) traffic[type] = (traffic[type] || 0) + 1;
+                }
+                continue;
+            }
+
+            // --- Module request, attributed to the referring page ---
+            if (isExcludedModule(module.name) || !referer || referer === '-') continue;
+
+            const type = classifyPageUrl(referer, rules);
+            if (!type) {
+                unmatched++;
+                continue;
+            }
+
+            if (!pageTypes.has(type)) {
+                pageTypes.set(type, { url: referer, loads: new Set(), modules: new Map() });
+            }
+            const pageType = pageTypes.get(type);
+            // Reloads and 304 revalidations of one page load are counted once.
+            const loadKey = `${ip} ${userAgent} ${referer}`;
+            if (!loadIds.has(loadKey)) loadIds.set(loadKey, loadIds.size);
+            const load = loadIds.get(loadKey);
+            pageType.loads.add(load);
+
+            const stats = pageType.modules.get(module.name) || { path: module.path, loads: new Set() };
+            stats.loads.add(load);
+            pageType.modules.set(module.name, stats);
+        }
+    }
+
+    // A page load has a single referer, hence a single page type: site-wide counts are sums.
+    /** @type {Map<string, number>} Page loads requesting each module, site-wide. */
+    const siteModules = new Map();
+    pageTypes.forEach(({ modules }) => {
+        modules.forEach(({ loads }, moduleName) => {
+            siteModules.set(moduleName, (siteModules.get(moduleName) || 0) + loads.size);
+        });
+    });
+
+    logger.info(`📜 ${lines} log line(s), ${siteModules.size} distinct module(s).`);
+    if (unmatched > 0) {
+        logger.warn(`⚠️ ${unmatched} module request(s) ignored: their Referer matches no page type. Declare URL rules in "accessLog.pageTypes".`);
+    }
+
+    if (siteModules.size === 0) {
+        throw new Error('No RequireJS module request found in the access logs.');
+    }
+
+    const allowedNames = config.only
+        ? new Set(config.only.split(',').map(s => s.trim().toLowerCase()))
+        : null;
+    const bundles = [];
+
+    pageTypes.forEach(({ url, loads, modules }, name) => {
+        if (allowedNames && !allowedNames.has(name)) {
+            logger.info(`Skipping bundle "${name}" (not in --only list).`);
+            return;
+        }
+
+        // Modules keep their first-request order: a safe approximation of the load order.
+        const kept = {};
+        modules.forEach(({ path: modulePath, loads: moduleLoads }, moduleName) => {
+            if (moduleLoads.size / loads.size >= minShare) {
+                kept[moduleName] = modulePath;
+            }
+        });
+
+        logger.info(
+            `📊 [${name}] ${traffic[name] || 0} page view(s), ${loads.size} cold load(s): ` +
+            `${Object.keys(kept).length}/${modules.size} module(s) kept.`
+        );
+        bundles.push({ name, url, modules: kept });
+    });
+
+    const topModules = [...siteModules.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
+    logger.debug(`Most requested modules site-wide (${loadIds.size} cold load(s)):`);
+    topModules.forEach(([moduleName, moduleLoads]) => {
+        logger.debug(`  ${Math.round(moduleLoads / loadIds.size * 100)}% ${moduleName}`);
+    });
+
+    return { bundles, traffic };
+};
@@ -0,0 +1,83 @@
+/**
+ * @file lib/generate/aggregateModules.js
+ * @description Combines the module maps collected from several sample URLs into one bundle.
+ *
+ * A single sample rarely covers a whole page type: a simple product page misses the
+ * modules of configurable, bundle and grouped products. Collecting several samples
+ * and aggregating them gives a bundle representative of the whole catalog.
+ *
+ * Supported modes:
+ *   - `union` (default): every module seen on at least one sample.
+ *   - `intersection`: only modules seen on every sample.
+ *   - `<N>%` (e.g. `60%`): modules seen on at least N percent of the samples.
+ *
+ * @module generate/aggregateModules
+ */
+
+/**
+ * Default aggregation mode, matching the historical single-URL behaviour.
+ * @type {string}
+ */
+export const DEFAULT_AGGREGATION = 'union';
+
+/**
+ * Parses an aggregation mode into the minimum share of samples a module must appear in.
+ *
+ * @param {string} [aggregation='union'] - `union`, `intersection` or a percentage like `60%`.
+ * @returns {number} The minimum share, between 0 (exclusive) and 1 (inclusive).
+ * @throws {Error} When the mode is not recognized.
+ */
+export const parseAggregation = (aggregation = DEFAULT_AGGREGATION) => {
+    const mode = String(aggregation).trim().toLowerCase();
+
+    if (mode === 'union') return Number.MIN_VALUE;
+    if (mode === 'intersection') return 1;
+
+    const match = mode.match(/^(\d+(?:\.\d+)?)%$/);
+    if (match) {
+        const percent = parseFloat(match[1]);
+        if (percent > 0 && percent <= 100) return percent / 100;
+    }
+
+    throw new Error(
+        `Invalid aggregation "${aggregation}". Expected "union", "intersection" or a percentage such as "60%".`
+    );
+};
+
+/**
+ * Aggregates module maps collected from several samples of the same page type.
+ *
+ * Module order follows the first appearance across samples, so the execution order
+ * captured on the first sample is preserved and later samples only append.
+ *
+ * @param {Array<Object<string, string>>} samples - One module map per visited URL.
+ * @param {string} [aggregation='union'] - The aggregation mode.
+ * @returns {Object<string, string>} The aggregated module name to path map.
+ */
+export default (samples, aggregation = DEFAULT_AGGREGATION) => {
+    const minShare = parseAggregation(aggregation);
+
+    /** @type {Map<string, {path: string, count: number}>} */
+    const seen = new Map();
+
+    samples.forEach((modules) => {
+        Object.entries(modules).forEach(([moduleName, modulePath]) => {
+            const entry = seen.get(moduleName);
+            if (entry) {
+                entry.count++;
+            } else {
+                seen.set(moduleName, { path: modulePath, count: 1 });
+            }
+        });
+    });
+
+    const aggregated = {};
+
+    seen.forEach(({ path, count }, moduleName) => {
+        if (samples.length > 0 && count / samples.length >= minShare) {
+            aggregated[moduleName] = path;
+        }
+    });
+
+    return aggregated;
+};
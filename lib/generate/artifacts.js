@@ -0,0 +1,133 @@
+/**
+ * @file lib/generate/artifacts.js
+ * @description Saves debugging artifacts of collector pages (`--artifacts-dir`).
+ *
+ * A collector failing in CI (add-to-cart disabled, checkout redirected to the cart, RequireJS
+ * not detected) used to leave nothing to inspect. With `--artifacts-dir <dir>`, the page and
+ * checkout collectors record the console messages, uncaught page errors and failed network
+ * requests of their pages, and start a Chrome trace. When a collector fails (or succeeds,
+ * with `--artifacts-on-success`), its page is saved to `<dir>/<label>-<time>-<status>/`:
+ *
+ *   screenshot.png         full-page screenshot
+ *   page.html              final DOM
+ *   console.json           console messages and page errors
+ *   failed-requests.json   aborted requests and HTTP responses >= 400
+ *   trace.json             Chrome trace (open in DevTools > Performance)
+ *   meta.json              label, URL, error and time
+ *
+ * Chrome records one trace at a time: pages of collectors running in parallel may have none.
+ *
+ * @module generate/artifacts
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import logger from '../utils/logger.js';
+
+/**
+ * Starts recording the artifacts of a collector page, when `config.artifactsDir` is set.
+ * The recorder is kept on the page as `page.magepackArtifacts`.
+ *
+ * @param {import('puppeteer').Page} page - The page to record.
+ * @param {Object} config - The generation configuration.
+ * @param {string} [config.artifactsDir] - The artifacts directory.
+ */
+export const recordArtifacts = async (page, config) => {
+    if (!config.artifactsDir) return;
+
+    const recorder = { console: [], failedRequests: [], tracing: false };
+    page.magepackArtifacts = recorder;
+
+    page.on('console', (message) => {
+        recorder.console.push({ type: message.type(), text: message.text(), location: message.location() });
+    });
+    page.on('pageerror', (error) => {
+        recorder.console.push({ type: 'pageerror', text: error.message, stack: error.stack });
+    });
+    page.on('requestfailed', (request) => {
+        const failure = request.failure();
+        recorder.failedRequests.push({
+            url: request.url(),
+            resourceType: request.resourceType(),
+            error: failure ? failure.errorText : 'failed',
+        });
+    });
+    page.on('response', (response) => {
+        if (response.status() < 400) return;
+        recorder.failedRequests.push({
+            url: response.url(),
+            resourceType: response.request().resourceType(),
+            status: response.status(),
+        });
+    });
+
+    try {
+        await page.tracing.start();
+        recorder.tracing = true;
+    } catch (e) {
+        logger.debug(`No Chrome trace for this page: ${e.message}`);
+    }
+};
+
+/**
+ * Builds a file-system safe directory name.
+ *
+ * @param {string} label - The collector label (e.g. `product`, `checkout`).
+ * @param {string} status - `failed` or `ok`.
+ * @returns {string}
+ */
+const getDirectoryName = (label, status) => {
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${label.replace(/[^a-z0-9_-]+/gi, '-')}-${time}-${status}`;
+};
+
+/**
+ * Saves the artifacts of a collector page on failure, or on success with
+ * `config.artifactsOnSuccess`. Does nothing without `config.artifactsDir`, and never throws:
+ * a page that cannot be captured (closed, crashed) is skipped with a warning.
+ *
+ * @param {import('puppeteer').Page} page - The collector page, not closed yet.
+ * @param {Object} config - The generation configuration.
+ * @param {string} [config.artifactsDir] - The artifacts directory.
+ * @param {boolean} [config.artifactsOnSuccess] - Also save the pages of successful collectors.
+ * @param {string} label - The collector label, used in the directory name.
+ * @param {Error} [error] - The collector error, when it failed.
+ * @returns {Promise<void>}
+ */
+export const saveArtifacts = async (page, config, label, error) => {
+    const recorder = page.magepackArtifacts;
+    if (!config.artifactsDir || !recorder) return;
+
+    // Stop tracing in any case: Chrome only records one trace at a time.
+    const trace = recorder.tracing ? await page.tracing.stop().catch(() => null) : null;
+    recorder.tracing = false;
+
+    if (!error && !config.artifactsOnSuccess) return;
+
+    const dir = path.resolve(config.artifactsDir, getDirectoryName(label, error ? 'failed' : 'ok'));
+
+    try {
+        await fs.mkdir(dir, { recursive: true });
+
+        const writeJson = (file, data) => fs.writeFile(path.join(dir, file), `${JSON.stringify(data, null, 2)}\n`);
+
+        await writeJson('meta.json', {
+            label,
+            url: page.url(),
+            status: error ? 'failed' : 'ok',
+            error: error ? error.stack || error.message : null,
+            savedAt: new Date().toISOString(),
+        });
+        await writeJson('console.json', recorder.console);
+        await writeJson('failed-requests.json', recorder.failedRequests);
+        if (trace) await fs.writeFile(path.join(dir, 'trace.json'), trace);
+
+        await fs.writeFile(path.join(dir, 'page.html'), await page.content());
+        await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+
+        logger.info(`🧾 Artifacts of "${label}" saved to: ${dir}`);
+    } catch (e) {
+        logger.warn(`⚠️ Could not save all artifacts of "${label}" to ${dir}: ${e.message}`);
+    }
+};
@@ -1,20 +1,36 @@
 import logger from '../utils/logger.js';
+import compileRequestRules from './requestRules.js';
 
 /**
  * Blocks Magepack generation script to prevent infinite loops/recursion
  * when visiting pages that might already have Magepack bundles active.
+ *
+ * Also aborts the requests matched by the `requestBlocking` config section (analytics, tag
+ * managers, chat widgets and images by default, see `requestRules.js`), unless
+ * `--no-block-requests` is given. Those are aborted as `blockedbyclient`, which
+ * `pageErrors.js` does not report as failed scripts.
+ *
+ * @param {import('puppeteer').Page} page - The page to intercept requests of.
+ * @param {Object} [config] - The generation configuration.
+ * @param {Object} [config.requestBlocking] - The `requestBlocking` config section.
+ * @param {boolean} [config.blockRequests] - False to only block existing Magepack bundles.
  */
-const blockMagepack = async (page) => {
+const blockMagepack = async (page, config = {}) => {
+    const isBlocked = compileRequestRules(config.requestBlocking, config.blockRequests !== false);
+
     await page.setRequestInterception(true);
-    
+
     page.on('request', (request) => {
         logger.debug(`Fetching: ${request.url()}`);
-        
+
         if (request.url().includes('magepack/bundle-')) {
             page.magepackDirty = true;
-            
+
             logger.warn(`🛑 DETECTED: Existing bundle: ${request.url()}`);
             request.abort();
+        } else if (isBlocked({ url: request.url(), resourceType: request.resourceType() })) {
+            logger.debug(`Blocked: ${request.url()}`);
+            request.abort('blockedbyclient');
         } else {
             request.continue();
         }
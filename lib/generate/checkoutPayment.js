@@ -0,0 +1,241 @@
+/**
+ * @file lib/generate/checkoutPayment.js
+ * @description Walks the Luma checkout from the shipping step to the payment step as a guest.
+ *
+ * The payment method renderers, billing address form and place-order modules are only
+ * required once the payment step is displayed. This module fills the guest email and
+ * shipping address, picks a shipping method, clicks "Next" and (optionally) selects each
+ * available payment method so their renderers get loaded.
+ *
+ * The address and behaviour come from the `checkout` config key, the selectors from the
+ * `selectors` config key:
+ *
+ *   checkout: {
+ *       email: 'magepack@example.com',
+ *       address: { firstname: 'Jane', countryId: 'FR', region: 'Paris', postcode: '75001', ... },
+ *       paymentStep: true,
+ *       selectPaymentMethods: true,
+ *   }
+ *
+ * @module generate/checkoutPayment
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Default guest shipping address, valid for a default Luma store (US, Texas).
+ * Keys are the Magento address attribute codes, `countryId` and `region` excepted.
+ * @type {Object<string, string>}
+ */
+const DEFAULT_ADDRESS = {
+    firstname: 'Magepack',
+    lastname: 'Generator',
+    street: '1 Congress Avenue',
+    city: 'Austin',
+    countryId: 'US',
+    region: 'Texas',
+    postcode: '78701',
+    telephone: '5125550100',
+};
+
+/**
+ * Default guest email address.
+ * @type {string}
+ */
+const DEFAULT_EMAIL = 'magepack@example.com';
+
+/**
+ * Default CSS selectors of the Luma checkout. Override them in the `selectors` config key.
+ * @type {Object}
+ */
+const DEFAULT_SELECTORS = {
+    /** @type {string} Guest email input of the shipping step */
+    checkoutEmail: '#customer-email',
+    /** @type {string} Shipping address form; address fields are looked up by `name` inside it */
+    shippingForm: '#co-shipping-form',
+    /** @type {string} Shipping method radio buttons (the first enabled one is picked) */
+    shippingMethod: '#checkout-shipping-method-load input[type="radio"]:not([disabled])',
+    /** @type {string} "Next" button of the shipping step */
+    shippingNextButton: '#shipping-method-buttons-container button.continue',
+    /** @type {string} Payment methods list, visible once the payment step is displayed */
+    paymentList: '#checkout-payment-method-load',
+    /** @type {string} Payment method radio buttons */
+    paymentMethod: '#checkout-payment-method-load input[name="payment[method]"]',
+};
+
+/**
+ * Address attribute → `name` attribute of the shipping form field.
+ * @type {Object<string, string>}
+ */
+const ADDRESS_FIELDS = {
+    firstname: 'firstname',
+    lastname: 'lastname',
+    company: 'company',
+    street: 'street[0]',
+    city: 'city',
+    postcode: 'postcode',
+    telephone: 'telephone',
+};
+
+/**
+ * Time (ms) left to Knockout to re-render after a field update or a method selection.
+ * @type {number}
+ */
+const SETTLE_DELAY = 1000;
+
+/**
+ * Resolves the selectors, user overrides first.
+ *
+ * @param {Object} [userSelectors] - The `selectors` config key.
+ * @returns {Object} The selectors to use.
+ */
+const resolveSelectors = (userSelectors = {}) => {
+    return Object.fromEntries(
+        Object.entries(DEFAULT_SELECTORS).map(([key, selector]) => [key, userSelectors[key] || selector])
+    );
+};
+
+/**
+ * Selects an option of a `<select>` by value or visible label and notifies Knockout.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page.
+ * @param {string} selector - The `<select>` selector.
+ * @param {string} wanted - The option value or label.
+ * @returns {Promise<boolean>} Whether a matching option was selected.
+ */
+const selectOption = async (page, selector, wanted) => {
+    return page.evaluate((sel, value) => {
+        const select = document.querySelector(sel);
+        if (!select || !select.options) return false;
+
+        const option = Array.from(select.options).find(
+            opt => opt.value === value || opt.textContent.trim() === value
+        );
+        if (!option) return false;
+
+        select.value = option.value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+    }, selector, String(wanted));
+};
+
+/**
+ * Fills the guest email and the shipping address form.
+ *
+ * Fields missing from the form (custom checkouts) are skipped.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page on the shipping step.
+ * @param {Object} selectors - The resolved selectors.
+ * @param {string} email - The guest email.
+ * @param {Object} address - The shipping address.
+ * @returns {Promise<void>}
+ */
+const fillShippingAddress = async (page, selectors, email, address) => {
+    const form = selectors.shippingForm;
+
+    if (await page.$(selectors.checkoutEmail)) {
+        await page.type(selectors.checkoutEmail, email);
+    } else {
+        logger.debug(`[checkout] Guest email field not found (${selectors.checkoutEmail}), logged-in checkout assumed.`);
+    }
+
+    // Country first: changing it re-renders the region field.
+    if (address.countryId && !(await selectOption(page, `${form} [name="country_id"]`, address.countryId))) {
+        logger.warn(`⚠️ [checkout] Country "${address.countryId}" not available in the shipping form.`);
+    }
+    await new Promise(r => setTimeout(r, SETTLE_DELAY));
+
+    if (address.region) {
+        const regionSelected = await selectOption(page, `${form} [name="region_id"]`, address.region);
+        const regionInput = `${form} input[name="region"]`;
+        if (!regionSelected && await page.$(`${regionInput}:not([disabled])`)) {
+            await page.type(regionInput, address.region);
+        }
+    }
+
+    for (const [attribute, fieldName] of Object.entries(ADDRESS_FIELDS)) {
+        if (!address[attribute]) continue;
+
+        const fieldSelector = `${form} [name="${fieldName}"]`;
+        if (await page.$(fieldSelector)) {
+            await page.type(fieldSelector, String(address[attribute]));
+        } else {
+            logger.debug(`[checkout] Shipping field "${fieldName}" not found, skipped.`);
+        }
+    }
+};
+
+/**
+ * Advances the checkout page from the shipping step to the payment step.
+ *
+ * Each step that cannot be completed is reported with a warning and the walk stops: the
+ * collector then collects whatever modules the checkout loaded so far.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page on `checkout/`.
+ * @param {Object} config - The generation configuration object.
+ * @param {Object} [config.checkout] - The `checkout` config key (email, address, paymentStep, selectPaymentMethods).
+ * @param {Object} [config.selectors] - Custom selectors overriding the checkout defaults.
+ * @param {number} config.timeout - Navigation timeout in milliseconds.
+ * @returns {Promise<boolean>} Whether the payment step was reached.
+ */
+export default async (page, config) => {
+    const options = config.checkout || {};
+
+    if (options.paymentStep === false) {
+        logger.debug('[checkout] Payment step disabled (checkout.paymentStep = false).');
+        return false;
+    }
+
+    const selectors = resolveSelectors(config.selectors);
+    const email = options.email || DEFAULT_EMAIL;
+    const address = { ...DEFAULT_ADDRESS, ...(options.address || {}) };
+
+    logger.info('💳 Advancing checkout to the payment step...');
+
+    try {
+        await page.waitForSelector(selectors.shippingForm, { visible: true, timeout: config.timeout });
+    } catch (e) {
+        logger.warn(`⚠️ [checkout] Shipping form not found (${selectors.shippingForm}). Collecting the shipping step only.`);
+        return false;
+    }
+
+    await fillShippingAddress(page, selectors, email, address);
+
+    // Filling the address triggers a shipping rates estimation.
+    try {
+        await page.waitForSelector(selectors.shippingMethod, { visible: true, timeout: config.timeout });
+        await page.click(selectors.shippingMethod);
+        await new Promise(r => setTimeout(r, SETTLE_DELAY));
+    } catch (e) {
+        logger.warn(`⚠️ [checkout] No shipping method available (${selectors.shippingMethod}). Check the "checkout.address" config.`);
+        return false;
+    }
+
+    try {
+        await page.click(selectors.shippingNextButton);
+        await page.waitForSelector(selectors.paymentList, { visible: true, timeout: config.timeout });
+    } catch (e) {
+        logger.warn(`⚠️ [checkout] Payment step not reached: ${e.message}`);
+        return false;
+    }
+
+    logger.info('💳 Payment step reached.');
+
+    if (options.selectPaymentMethods) {
+        const methods = await page.$$eval(selectors.paymentMethod, inputs => inputs.map(input => input.value));
+
+        for (const [index, method] of methods.entries()) {
+            try {
+                await page.evaluate((sel, i) => document.querySelectorAll(sel)[i].click(), selectors.paymentMethod, index);
+                await new Promise(r => setTimeout(r, SETTLE_DELAY));
+                logger.debug(`[checkout] Payment method selected: ${method}`);
+            } catch (e) {
+                logger.warn(`⚠️ [checkout] Could not select payment method "${method}": ${e.message}`);
+            }
+        }
+
+        logger.info(`💳 Selected ${methods.length} payment method(s).`);
+    }
+
+    return true;
+};
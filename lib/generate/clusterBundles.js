@@ -0,0 +1,250 @@
+/**
+ * @file lib/generate/clusterBundles.js
+ * @description Co-occurrence clustering, an alternative to the vendor/common/page-type split
+ * of `extractCommonBundle.js` (`magepack generate --strategy cluster`).
+ *
+ * On sites with many page types, a module used by 3 pages out of 10 either bloats `common`
+ * (shipped to all 10) or is duplicated in 3 page bundles. Clustering starts from the modules'
+ * usage instead:
+ *
+ *   1. Modules used by exactly the same page types are always loaded together: each such
+ *      usage group becomes a cluster.
+ *   2. Clusters are merged greedily, best merge first, while a merge lowers the expected
+ *      cost of a pageview: the bytes of the clusters a page downloads plus `requestCost`
+ *      per cluster it requests, weighted by `traffic` (uniform without traffic weights).
+ *
+ * The result is a regular `bundles` array: a cluster used by a single page type is named
+ * after it (`product`), one used by every page type is `common`, the others are named after
+ * their page types (`shared-category-product`).
+ *
+ * The `extraction` config section applies as in the page-type split: modules matching
+ * `extraction.vendor` go to `vendor`, those matching `extraction.common` to `common`, critical
+ * infrastructure (RequireJS, jQuery, Knockout, mage core...) to `vendor` unless
+ * `extraction.defaults` is false, and
+ * modules used only by transactional page types (cart, checkout, customer and
+ * `extraction.transactional`) are never merged with modules of the other page types.
+ * `extraction.minUsage` has no meaning here and is ignored.
+ *
+ * @module generate/clusterBundles
+ */
+
+import logger from '../utils/logger.js';
+import { normalizeTraffic, extractForcedModules, TRANSACTIONAL_BUNDLES } from './extractCommonBundle.js';
+import compileExtractionRules from './extractionRules.js';
+import { formatBytes } from '../bundle/service/reporter.js';
+
+/**
+ * Default cost of one more request, in bytes: HTTP/2 removes the connection cost, not the
+ * request latency, headers and per-file parse overhead.
+ * @type {number}
+ */
+export const DEFAULT_REQUEST_COST = 8 * 1024;
+
+/**
+ * Assumed size of a module without recorded size, when no module size is known at all.
+ * @type {number}
+ */
+const FALLBACK_MODULE_SIZE = 1024;
+
+/**
+ * Change in expected cost per pageview when merging two clusters.
+ *
+ *   merged = W(A ∪ B) × (a + b + requestCost)
+ *   before = W(A) × (a + requestCost) + W(B) × (b + requestCost)
+ *
+ * @param {Object} a - A cluster (`pages`, `size`, `weight`).
+ * @param {Object} b - Another cluster.
+ * @param {function(string): number} shareOf - Traffic share of a page type.
+ * @param {number} requestCost - Cost of one request, in bytes.
+ * @returns {number} Negative when the merge saves bytes.
+ */
+const getMergeDelta = (a, b, shareOf, requestCost) => {
+    let unionWeight = a.weight;
+    b.pages.forEach((page) => {
+        if (!a.pages.has(page)) unionWeight += shareOf(page);
+    });
+
+    return unionWeight * (a.size + b.size + requestCost)
+        - a.weight * (a.size + requestCost)
+        - b.weight * (b.size + requestCost);
+};
+
+/**
+ * Names a cluster after the page types using it.
+ *
+ * @param {Set<string>} pages - The page types using the cluster.
+ * @param {string[]} allPages - Every page type.
+ * @returns {string}
+ */
+const nameCluster = (pages, allPages) => {
+    if (pages.size === allPages.length && allPages.length > 1) return 'common';
+    if (pages.size === 1) return [...pages][0];
+    return `shared-${[...pages].sort().join('-')}`;
+};
+
+/**
+ * Groups the modules of the collected page bundles into co-occurrence clusters.
+ *
+ * @param {Array<{name: string, url?: string, modules: Object<string, string>}>} bundles - The
+ *   collected page bundles (one per page type).
+ * @param {Object} [options]
+ * @param {Object<string, number|string>} [options.traffic] - Pageview weights per bundle name.
+ * @param {Map<string, number>} [options.moduleSizes] - The recorded module sizes.
+ * @param {number} [options.requestCost=DEFAULT_REQUEST_COST] - Cost of one request, in bytes.
+ * @param {Object} [options.extraction] - The `extraction` config section.
+ * @returns {Array<{name: string, url?: string, modules: Object<string, string>}>} The bundles.
+ */
+export default (bundles, { traffic, moduleSizes = new Map(), requestCost = DEFAULT_REQUEST_COST, extraction } = {}) => {
+    const allPages = bundles.map(bundle => bundle.name);
+    const shares = normalizeTraffic(traffic) || new Map(allPages.map(name => [name, 1 / allPages.length]));
+    const shareOf = name => shares.get(name) || 0;
+    const weightOf = pages => [...pages].reduce((sum, name) => sum + shareOf(name), 0);
+
+    const rules = compileExtractionRules(extraction);
+    const transactionalBundles = new Set([...(rules.defaults ? TRANSACTIONAL_BUNDLES : []), ...rules.transactional]);
+    if (rules.minUsage !== undefined) {
+        logger.warn('⚠️ extraction.minUsage does not apply to --strategy cluster: ignored.');
+    }
+
+    // Forced placements first (critical infrastructure included): the remaining modules are clustered.
+    const pageBundles = bundles.map(bundle => ({ ...bundle, modules: { ...bundle.modules } }));
+    const forced = extractForcedModules(pageBundles, extraction, { critical: true });
+
+    const knownSizes = [...moduleSizes.values()];
+    const defaultSize = knownSizes.length > 0
+        ? knownSizes.reduce((sum, size) => sum + size, 0) / knownSizes.length
+        : FALLBACK_MODULE_SIZE;
+    const sizeOf = moduleName => moduleSizes.get(moduleName) || defaultSize;
+
+    // 1. Usage groups, in global first-appearance order.
+    /** @type {Map<string, Set<string>>} */
+    const usage = new Map();
+    /** @type {Map<string, string>} */
+    const paths = new Map();
+
+    pageBundles.forEach((bundle) => {
+        Object.entries(bundle.modules).forEach(([moduleName, modulePath]) => {
+            if (!usage.has(moduleName)) usage.set(moduleName, new Set());
+            usage.get(moduleName).add(bundle.name);
+            if (!paths.has(moduleName)) paths.set(moduleName, modulePath);
+        });
+    });
+
+    /** @type {Map<string, {pages: Set<string>, modules: string[], size: number}>} */
+    const groups = new Map();
+    usage.forEach((pages, moduleName) => {
+        const signature = [...pages].sort().join(',');
+        if (!groups.has(signature)) groups.set(signature, { pages, modules: [], size: 0 });
+
+        const group = groups.get(signature);
+        group.modules.push(moduleName);
+        group.size += sizeOf(moduleName);
+    });
+
+    // 2. Greedy agglomeration, best merge first. Clusters used only by transactional page
+    // types are merged among themselves only (transactional isolation).
+    /** @type {Map<number, {pages: Set<string>, modules: string[], size: number, weight: number, transactional: boolean}>} */
+    const clusterMap = new Map([...groups.values()].map((group, id) => [id, {
+        ...group,
+        weight: weightOf(group.pages),
+        transactional: [...group.pages].every(page => transactionalBundles.has(page)),
+    }]));
+    const groupCount = clusterMap.size;
+
+    // Saving merges per cluster, both ways: a delta only changes when one of its clusters does.
+    /** @type {Map<number, Map<number, number>>} */
+    const deltas = new Map([...clusterMap.keys()].map(id => [id, new Map()]));
+    const addPairs = (id, others) => {
+        const cluster = clusterMap.get(id);
+        others.forEach((otherId) => {
+            const other = clusterMap.get(otherId);
+            if (otherId === id || cluster.transactional !== other.transactional) return;
+
+            const delta = getMergeDelta(cluster, other, shareOf, requestCost);
+            if (delta < 0) {
+                deltas.get(id).set(otherId, delta);
+                deltas.get(otherId).set(id, delta);
+            }
+        });
+    };
+
+    const ids = [...clusterMap.keys()];
+    ids.forEach((id, i) => addPairs(id, ids.slice(i + 1)));
+
+    for (;;) {
+        let best = null;
+        deltas.forEach((pairs, i) => pairs.forEach((delta, j) => {
+            if (i < j && (!best || delta < best.delta)) best = { i, j, delta };
+        }));
+
+        if (!best) break;
+
+        // The merged cluster keeps the first id, and so its place in the output order.
+        const [a, b] = [clusterMap.get(best.i), clusterMap.get(best.j)];
+        clusterMap.set(best.i, {
+            pages: new Set([...a.pages, ...b.pages]),
+            modules: [...a.modules, ...b.modules],
+            size: a.size + b.size,
+            weight: weightOf(new Set([...a.pages, ...b.pages])),
+            transactional: a.transactional,
+        });
+        clusterMap.delete(best.j);
+
+        [best.i, best.j].forEach((id) => {
+            deltas.get(id).forEach((delta, otherId) => deltas.get(otherId).delete(id));
+        });
+        deltas.delete(best.j);
+        deltas.set(best.i, new Map());
+        addPairs(best.i, [...clusterMap.keys()]);
+    }
+
+    const clusters = [...clusterMap.values()];
+
+    // 3. Output: names after page types, modules in global order.
+    const moduleOrder = [...usage.keys()];
+    const usedNames = new Map();
+
+    const result = clusters.map((cluster) => {
+        const baseName = nameCluster(cluster.pages, allPages);
+        const occurrence = (usedNames.get(baseName) || 0) + 1;
+        usedNames.set(baseName, occurrence);
+
+        const members = new Set(cluster.modules);
+        const modules = Object.fromEntries(
+            moduleOrder.filter(moduleName => members.has(moduleName)).map(moduleName => [moduleName, paths.get(moduleName)])
+        );
+
+        const bundle = { name: occurrence > 1 ? `${baseName}-${occurrence}` : baseName, modules };
+        const source = cluster.pages.size === 1 ? bundles.find(b => cluster.pages.has(b.name)) : null;
+        if (source && source.url) bundle.url = source.url;
+
+        return { bundle, cluster };
+    });
+
+    logger.info(`🧩 Clustered ${usage.size} module(s) from ${groupCount} usage group(s) into ${result.length} bundle(s).`);
+    allPages.forEach((page) => {
+        const used = result.filter(({ cluster }) => cluster.pages.has(page));
+        const bytes = used.reduce((sum, { cluster }) => sum + cluster.size, 0);
+        logger.debug(`  [${page}] ${used.length} bundle(s), ~${formatBytes(bytes)}: ${used.map(({ bundle }) => bundle.name).join(', ')}`);
+    });
+
+    // Most shared bundles first, like vendor/common in the page-type split.
+    const clustered = result
+        .sort((a, b) => weightOf(b.cluster.pages) - weightOf(a.cluster.pages))
+        .map(({ bundle }) => bundle);
+
+    // Forced placements: `common` joins the cluster used by every page type, `vendor` comes first.
+    if (Object.keys(forced.common).length > 0) {
+        const common = clustered.find(bundle => bundle.name === 'common');
+        if (common) {
+            common.modules = { ...forced.common, ...common.modules };
+        } else {
+            clustered.unshift({ name: 'common', modules: forced.common });
+        }
+    }
+    if (Object.keys(forced.vendor).length > 0) {
+        clustered.unshift({ name: 'vendor', modules: forced.vendor });
+    }
+
+    return clustered;
+};
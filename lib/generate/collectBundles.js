@@ -0,0 +1,286 @@
+/**
+ * @file lib/generate/collectBundles.js
+ * @description Runs one collection session: launches Chrome, resolves the page URLs and
+ * runs the collectors, anonymous then (with `--customer-login`) logged in.
+ *
+ * Returns the raw per-page bundles; common module extraction and config writing are
+ * left to `lib/generate.js`, which may call this several times (one session per store view).
+ *
+ * @module generate/collectBundles
+ */
+
+import puppeteer from 'puppeteer';
+
+import logger from '../utils/logger.js';
+import * as collectors from './collector/index.js';
+import { createPageCollector } from './collector/factory.js';
+import { findPageDefinition } from './pageDefinitions.js';
+import aggregateModules from './aggregateModules.js';
+import runCollectors from './runCollectors.js';
+import loginCustomer, { CUSTOMER_PAGE_PATHS } from './customerLogin.js';
+import { discoverSitemapPages } from './sitemap.js';
+import { classifyUrls } from './pageType.js';
+import { VIEWPORTS, combineViewports } from './viewports.js';
+import { reportUnstableModules } from './passes.js';
+import { reportCollectorSummary } from './collectorRetry.js';
+import { reportPageErrors, removeFailedModules } from './pageErrors.js';
+
+/**
+ * CLI URL flags required by the built-in page collectors.
+ * A collector whose URL is declared in the `pages` config section does not need its flag.
+ * @type {Array<{bundle: string, flag: string, key: string}>}
+ */
+const URL_REQUIREMENTS = [
+    { bundle: 'cms',      flag: '--cms-url',      key: 'cmsUrl' },
+    { bundle: 'category', flag: '--category-url', key: 'categoryUrl' },
+    { bundle: 'product',  flag: '--product-url',  key: 'productUrl' },
+];
+
+/**
+ * Collects the modules of every active collector in a fresh browser.
+ *
+ * @param {Object} generationConfig - The generation configuration (CLI options, normalized `pages`,
+ *   preserved config sections). Discovered URLs are written back into it.
+ * @param {Object} options
+ * @param {number} options.timeout - Navigation timeout in milliseconds.
+ * @param {string[]} options.viewports - Viewport names (see `VIEWPORTS`). With several, every collector
+ *   runs once per viewport, in its own browser context, and the results are combined.
+ * @param {boolean|string} options.headless - The Puppeteer headless mode.
+ * @returns {Promise<Array<Object>>} The collected bundles, before common module extraction.
+ * @throws {Error} On missing URLs or when a collector fails (the browser is closed first).
+ */
+export default async (generationConfig, { timeout, viewports, headless: isHeadless }) => {
+    /**
+     * @type {import('puppeteer').Browser}
+     */
+    const browser = await puppeteer.launch({
+        headless: isHeadless,
+        args: [
+            // Required for Docker/CI environments to prevent permission issues
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            // Prevents /dev/shm crashes on low-memory containers (Docker default is 64MB)
+            '--disable-dev-shm-usage',
+            // Disabling GPU hardware acceleration for headless stability
+            '--disable-gpu',
+            '--no-first-run',
+            '--no-zygote'
+        ],
+        defaultViewport: VIEWPORTS[viewports[0]],
+        ignoreHTTPSErrors: true,
+    });
+
+    // Create a clean browser context to isolate cookies/storage if needed.
+    const browserContext = await browser.createBrowserContext();
+
+    /**
+     * Feeds classified URLs (keyed by page type) to the collectors.
+     * A declared page of that name receives them, then the built-in URL flag,
+     * otherwise a new page collector is declared for the type.
+     *
+     * @param {Object<string, string[]>} discovered - URLs keyed by page type.
+     * @param {boolean} append - Add to existing URLs (explicit --url) or only fill missing ones (sitemap).
+     */
+    const assignDiscoveredUrls = (discovered, append) => {
+        for (const [type, urls] of Object.entries(discovered)) {
+            const requirement = URL_REQUIREMENTS.find(({ bundle }) => bundle === type);
+            const pageDefinition = findPageDefinition(generationConfig, type);
+
+            if (pageDefinition) {
+                if (append || pageDefinition.urls.length === 0) {
+                    pageDefinition.urls = [...pageDefinition.urls, ...urls];
+                }
+            } else if (requirement) {
+                const current = [].concat(generationConfig[requirement.key] || []);
+                if (append || current.length === 0) {
+                    generationConfig[requirement.key] = [...current, ...urls];
+                }
+            } else {
+                generationConfig.pages.push({ name: type, urls });
+            }
+        }
+    };
+
+    try {
+        // --url: bundle named after the page type detected on each URL.
+        if (generationConfig.url) {
+            logger.info(`Detecting the page type of ${generationConfig.url.length} URL(s)...`);
+            const classified = await classifyUrls(browserContext, generationConfig.url, { ...generationConfig, timeout });
+            Object.entries(classified).forEach(([type, urls]) => {
+                logger.info(`  ${type}: ${urls.join(', ')}`);
+            });
+            assignDiscoveredUrls(classified, true);
+        }
+
+        // --sitemap: classify sitemap URLs by page type and feed the samples to the collectors.
+        // Explicit URL flags and declared page URLs always win over discovered ones.
+        if (generationConfig.sitemap) {
+            assignDiscoveredUrls(await discoverSitemapPages(browserContext, { ...generationConfig, timeout }), false);
+        }
+    } catch (error) {
+        await browser.close();
+        throw error;
+    }
+
+    // Create a mutable copy of collectors to manage the execution list.
+    const activeCollectors = { ...collectors };
+
+    // Declared pages without a built-in collector get a generic page collector.
+    // Declared pages sharing a built-in name (or a bundle a built-in collector emits,
+    // like `cart`) only override that collector's URLs and options.
+    const builtInBundles = new Set(Object.values(collectors.COLLECTOR_BUNDLES).flat());
+    for (const { name } of generationConfig.pages) {
+        if (typeof activeCollectors[name] !== 'function' && !builtInBundles.has(name)) {
+            activeCollectors[name] = createPageCollector(name);
+        }
+    }
+
+    // --only <bundles>: restrict to comma-separated collector names (e.g. "cms" or "cms,category").
+    // Supersedes the removed --skip-checkout flag (use --only cms,category,product instead).
+    if (generationConfig.only) {
+        const allowedNames = new Set(
+            generationConfig.only.split(',').map(s => s.trim().toLowerCase())
+        );
+        for (const name of Object.keys(activeCollectors)) {
+            if (typeof activeCollectors[name] === 'function' && !allowedNames.has(name)) {
+                delete activeCollectors[name];
+                logger.info(`Skipping collector "${name}" (not in --only list).`);
+            }
+        }
+    }
+
+    // Validate URLs for built-in collectors that will actually run.
+    const missing = URL_REQUIREMENTS.filter(({ bundle, key }) => {
+        if (typeof activeCollectors[bundle] !== 'function') return false;
+        const pageDefinition = findPageDefinition(generationConfig, bundle);
+        return !generationConfig[key] && !(pageDefinition && pageDefinition.urls.length > 0);
+    });
+
+    if (missing.length > 0) {
+        await browser.close();
+        throw new Error(`Missing required option(s): ${missing.map(({ flag }) => flag).join(', ')}`);
+    }
+
+    logger.info('Collecting bundle modules...');
+
+    const { AUTHENTICATED_COLLECTORS, SEQUENTIAL_COLLECTORS } = collectors;
+    const anonymousEntries = [];
+    const authenticatedEntries = [];
+
+    for (const [name, collectorFn] of Object.entries(activeCollectors)) {
+        if (typeof collectorFn !== 'function') continue;
+        if (AUTHENTICATED_COLLECTORS.has(name)) {
+            if (generationConfig.customerLogin) {
+                authenticatedEntries.push([name, collectorFn]);
+            } else {
+                logger.debug(`Skipping collector "${name}" (requires --customer-login).`);
+            }
+        } else {
+            anonymousEntries.push([name, collectorFn]);
+        }
+    }
+
+    /**
+     * Runs the collectors in one browser context: anonymous first, then logged in.
+     *
+     * @param {import('puppeteer').BrowserContext} viewportContext - The anonymous browser context.
+     * @param {Object} runConfig - The generation configuration of this run.
+     * @returns {Promise<Array<Object>>} The collected bundles.
+     */
+    const collectViewport = async (viewportContext, runConfig) => {
+        const bundles = await runCollectors(viewportContext, anonymousEntries, runConfig);
+
+        // --customer-login: collect logged-in variants of the page collectors (not checkout,
+        // which would fill the customer's real cart) plus the customer account bundle,
+        // in a separate context holding the customer session.
+        if (generationConfig.customerLogin) {
+            const startUrl = [
+                generationConfig.cmsUrl,
+                generationConfig.categoryUrl,
+                generationConfig.productUrl,
+                ...generationConfig.pages.map(page => page.urls),
+            ].flat().find(Boolean);
+
+            if (!startUrl) {
+                throw new Error('Customer login needs at least one storefront URL to locate the login page.');
+            }
+
+            const customerContext = await browser.createBrowserContext();
+            const baseUrl = await loginCustomer(customerContext, runConfig, startUrl);
+            const loggedInConfig = {
+                ...runConfig,
+                customerUrls: CUSTOMER_PAGE_PATHS.map(pagePath => `${baseUrl}${pagePath}`),
+            };
+
+            const loggedInEntries = [
+                ...anonymousEntries.filter(([name]) => !SEQUENTIAL_COLLECTORS.has(name)),
+                ...authenticatedEntries,
+            ];
+
+            logger.info('Collecting logged-in variants...');
+            const loggedInBundles = await runCollectors(customerContext, loggedInEntries, loggedInConfig);
+
+            // Union each logged-in bundle into its anonymous counterpart (same page type).
+            loggedInBundles.forEach((loggedIn) => {
+                const anonymous = bundles.find(bundle => bundle.name === loggedIn.name);
+                if (!anonymous) {
+                    bundles.push(loggedIn);
+                    return;
+                }
+
+                const before = Object.keys(anonymous.modules).length;
+                anonymous.modules = aggregateModules([anonymous.modules, loggedIn.modules], 'union');
+                logger.info(`  [${anonymous.name}] +${Object.keys(anonymous.modules).length - before} module(s) only loaded when logged in.`);
+            });
+        }
+
+        return bundles;
+    };
+
+    /** @type {Object<string, Array<Object>>} */
+    const bundlesByViewport = {};
+    /** @type {Array<Object>} Modules missing from some --passes, reported once the session ends. */
+    const unstableModules = [];
+    /** @type {Array<Object>} Outcome of every collector run, reported once the session ends. */
+    const collectorSummary = [];
+    /** @type {Array<Object>} JavaScript errors per collected page, reported once the session ends. */
+    const pageErrors = [];
+
+    try {
+        for (const [i, viewportName] of viewports.entries()) {
+            if (viewports.length > 1) {
+                logger.info(`📐 Collecting in the ${viewportName} viewport...`);
+            }
+
+            // Each viewport gets fresh cookies (and its own cart for the checkout collector).
+            const viewportContext = i === 0 ? browserContext : await browser.createBrowserContext();
+            bundlesByViewport[viewportName] = await collectViewport(
+                viewportContext,
+                { ...generationConfig, timeout, viewport: VIEWPORTS[viewportName], unstableModules, collectorSummary, pageErrors }
+            );
+        }
+    } catch (error) {
+        await browser.close();
+        reportPageErrors(pageErrors);
+        reportCollectorSummary(collectorSummary);
+        throw error;
+    }
+
+    logger.debug('Finished collection, closing the browser.');
+
+    await browser.close();
+
+    reportPageErrors(pageErrors);
+    reportCollectorSummary(collectorSummary);
+
+    if (generationConfig.passes > 1) {
+        reportUnstableModules(unstableModules, generationConfig.stability);
+    }
+
+    // A module failing on one page is left out of every bundle.
+    const bundles = viewports.length === 1
+        ? bundlesByViewport[viewports[0]]
+        : combineViewports(bundlesByViewport, { desktopBundle: generationConfig.desktopBundle });
+
+    return removeFailedModules(bundles, pageErrors);
+};
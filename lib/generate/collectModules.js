@@ -5,6 +5,10 @@
 
 import excludedModules from './excludedModules.js';
 import { waitForNetworkStability } from './waitForNetworkStability.js';
+import { recordDependencies } from './moduleGraph.js';
+import { recordLoadTimings } from './loadTiming.js';
+import { recordCoverage } from './coverage.js';
+import { readPageErrors } from './pageErrors.js';
 
 /**
  * Collects all defined RequireJS modules on a given page context.
@@ -15,10 +19,34 @@ import { waitForNetworkStability } from './waitForNetworkStability.js';
  * 3. Waiting for network stability (scripts loading).
  * 4. Respecting the exact execution order captured by the 'configurePage' hook.
  *
+ * When `config.moduleSizes` is given, the uncompressed byte size of each module file is read
+ * from the Resource Timing entries (`decodedBodySize`) and recorded in it. Cross-origin files
+ * served without `Timing-Allow-Origin` report no size and are left out.
+ *
+ * When `config.moduleGraph` is given, the dependencies of each collected module, captured by
+ * the `onResourceLoad` hook of `configurePage`, are added to it (see `moduleGraph.js`).
+ *
+ * When `config.moduleTimings` is given, the load time of each collected module is compared
+ * with the DOMContentLoaded, load and first interaction milestones of the page and the
+ * milestones it loaded before are added to it (see `loadTiming.js`).
+ *
+ * When `config.moduleCoverage` is given, the JS coverage started by `configurePage` is read
+ * and the executed share of each collected module is recorded in it (see `coverage.js`).
+ * Coverage is restarted afterwards, for collectors navigating the same page further.
+ *
+ * When `config.pageErrors` is given, the errors recorded on the page since the last collection
+ * (see `pageErrors.js`) are added to it, and the modules that failed are not returned.
+ *
  * @param {import('puppeteer').Page} page - The Puppeteer page instance to scrape.
+ * @param {Object} [config] - The generation configuration.
+ * @param {Map<string, number>} [config.moduleSizes] - Receives the byte size of each collected module.
+ * @param {Map<string, Set<string>>} [config.moduleGraph] - Receives the dependencies of each collected module.
+ * @param {Map<string, Set<string>>} [config.moduleTimings] - Receives the milestones each collected module loaded before.
+ * @param {Map<string, number>} [config.moduleCoverage] - Receives the executed share of each collected module.
+ * @param {Array<Object>} [config.pageErrors] - Receives the JavaScript errors of the page.
  * @returns {Promise<Object<string, string>>} A promise resolving to an object mapping module names to their relative paths.
  */
-const collectModules = async (page) => {
+const collectModules = async (page, config = {}) => {
     // 1. Wait for global RequireJS object availability (Safe Timeout added).
     try {
         await page.waitForFunction(() => typeof window.require === 'function', { timeout: 5000 });
@@ -28,7 +56,10 @@ const collectModules = async (page) => {
 
     // 2. AUTO-SCROLL: Trigger lazy-loaded content (Sliders, Analytics, Menus)
     // We insert this BEFORE the network wait to ensure we capture the resulting requests.
+    // Flagged so its scroll events do not count as the first user interaction (see loadTiming.js).
     await page.evaluate(async () => {
+        window.__magepackAutoScrolling = true;
+
         await new Promise((resolve) => {
             let totalHeight = 0;
             const distance = 300; // Scroll chunk
@@ -46,6 +77,13 @@ const collectModules = async (page) => {
                 }
             }, 100);
         });
+
+        // Scroll events are dispatched on the next frame: clear the flag once they have fired.
+        await new Promise((resolve) => {
+            setTimeout(resolve, 200);
+            requestAnimationFrame(() => requestAnimationFrame(resolve));
+        });
+        window.__magepackAutoScrolling = false;
     });
 
     // 3. Intelligent Wait: Use Magento's internal 'rjsResolver'
@@ -134,6 +172,19 @@ const collectModules = async (page) => {
         // -----------------------------------
 
         const collected = {};
+        const sizes = {};
+        const dependencies = {};
+        const loadTimes = {};
+        const urls = {};
+        const capturedDependencies = window.__magepackDependencies || {};
+        const capturedLoadTimes = window.__magepackLoadTimes || {};
+
+        // Uncompressed size per requested file, query string stripped.
+        const resourceSizes = new Map(
+            performance.getEntriesByType('resource')
+                .filter(entry => entry.decodedBodySize > 0)
+                .map(entry => [entry.name.replace(/[?#].*$/, ''), entry.decodedBodySize])
+        );
 
         // --- FEATURE: EXECUTION ORDER PRESERVATION ---
         // Retrieve the exact loading order captured by the hook in 'configurePage.js'.
@@ -167,16 +218,65 @@ const collectModules = async (page) => {
             if (isExcluded) return;
     
             // Resolve the physical path using the unbundled context
-            collected[moduleName] = stripBaseUrl(
-                baseUrl,
-                unbundledContext.require.toUrl(stripPlugin(moduleName))
-            );
+            const moduleUrl = unbundledContext.require.toUrl(stripPlugin(moduleName));
+            collected[moduleName] = stripBaseUrl(baseUrl, moduleUrl);
+            urls[moduleName] = moduleUrl;
+
+            // Magento minification may serve `.min.js` for a module resolved to `.js`.
+            const fileUrl = moduleUrl.replace(/\.js$/, '');
+            const size = [moduleUrl, `${fileUrl}.js`, `${fileUrl}.min.js`]
+                .map(url => resourceSizes.get(url))
+                .find(Boolean);
+            if (size) sizes[moduleName] = size;
+
+            if (capturedDependencies[moduleName]) {
+                dependencies[moduleName] = capturedDependencies[moduleName];
+            }
+
+            if (capturedLoadTimes[moduleName] !== undefined) {
+                loadTimes[moduleName] = capturedLoadTimes[moduleName];
+            }
         });
 
-        return collected;
+        const [navigation] = performance.getEntriesByType('navigation');
+        const milestones = {
+            domcontentloaded: navigation ? navigation.domContentLoadedEventEnd : 0,
+            load: navigation ? navigation.loadEventEnd : 0,
+            interaction: window.__magepackFirstInteraction || 0,
+        };
+
+        return {
+            collected, urls, sizes, dependencies, loadTimes, milestones,
+            requireErrors: window.__magepackRequireErrors || [],
+        };
     }, excludedModules);
 
-    return modules;
+    if (config.moduleSizes) {
+        Object.entries(modules.sizes).forEach(([moduleName, size]) => config.moduleSizes.set(moduleName, size));
+    }
+
+    if (config.moduleGraph) {
+        recordDependencies(config.moduleGraph, modules.dependencies);
+    }
+
+    if (config.moduleTimings) {
+        recordLoadTimings(config.moduleTimings, modules.loadTimes, modules.milestones);
+    }
+
+    if (config.moduleCoverage) {
+        recordCoverage(config.moduleCoverage, await page.coverage.stopJSCoverage(), modules.urls);
+        await page.coverage.startJSCoverage({ resetOnNavigation: true });
+    }
+
+    if (config.pageErrors) {
+        const pageErrors = readPageErrors(page, modules.requireErrors);
+        if (pageErrors) {
+            config.pageErrors.push(pageErrors);
+            pageErrors.failedModules.forEach((moduleName) => delete modules.collected[moduleName]);
+        }
+    }
+
+    return modules.collected;
 };
 
 export default collectModules;
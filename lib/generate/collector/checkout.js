@@ -1,9 +1,14 @@
 /* global BASE_URL */
 
 import logger from '../../utils/logger.js';
-import authenticate from '../authenticate.js';
-import blockMagepack from '../blockMagepack.js';
+import advanceToPayment from '../checkoutPayment.js';
+import populateRestCart from '../restCart.js';
 import collectModules from '../collectModules.js';
+import configurePage from '../configurePage.js';
+import { recordArtifacts, saveArtifacts } from '../artifacts.js';
+import { findPageDefinition } from '../pageDefinitions.js';
+import { assertPageType, PAGE_TYPES } from '../pageType.js';
+import runInteractions from '../runInteractions.js';
 
 /**
  * Default CSS selectors for interacting with the Magento storefront.
@@ -34,59 +39,27 @@ const DEFAULT_SELECTORS = {
 };
 
 /**
- * Collects modules for the cart and checkout pages and returns them as two
- * separate bundles so each page only loads what it needs.
- *
- * The collector:
- *   1. Navigates to the product page and adds an item to cart.
- *   2. Navigates to the cart page  → collects `cart` bundle modules.
- *   3. Navigates to the checkout page → collects `checkout` bundle modules.
- *
- * Returning two bundles instead of one merged bundle cuts the cart-page payload
- * by ~40–50 %: cart visitors never download checkout-only JS.
- *
- * Both bundles are declared transactional in `extractCommonBundle.js`
- * (`TRANSACTIONAL_BUNDLES = new Set(['checkout', 'cart'])`), so modules shared
- * only between cart and checkout are NOT promoted to the global common bundle.
+ * Populates the cart through the storefront UI: opens the product page, selects the
+ * required options and clicks the add-to-cart button.
  *
- * @param {import('puppeteer').BrowserContext} browserContext Puppeteer's BrowserContext object.
+ * @param {import('puppeteer').Page} page The collecting page.
  * @param {Object} configuration Generation configuration object.
- * @param {string} configuration.productUrl URL to the reference product page.
- * @param {string} [configuration.authUsername] Basic auth username.
- * @param {string} [configuration.authPassword] Basic auth password.
- * @param {Object} [configuration.selectors] Custom selectors to override/extend defaults.
- * @param {number} [configuration.timeout=30000] Global navigation timeout.
- * @returns {Promise<Array<Object>>} Two-element array: [cartBundle, checkoutBundle].
+ * @param {string} productUrl URL of the reference product.
+ * @param {Object} selectors The resolved add-to-cart selectors.
+ * @returns {Promise<void>}
+ * @throws {Error} When the product cannot be added to the cart.
  */
-const checkout = async (
-    browserContext,
-    { productUrl, authUsername, authPassword, selectors: userSelectors = {}, timeout = 30000 }
-) => {
-
-    // Merge logic: userSelectors.addToCartButton replaces default, others are concatenated.
-    const selectors = {
-        addToCartButton: userSelectors.addToCartButton || DEFAULT_SELECTORS.addToCartButton,
-        swatchClickers: [
-            ...DEFAULT_SELECTORS.swatchClickers,
-            ...(Array.isArray(userSelectors.swatchClickers) ? userSelectors.swatchClickers : [])
-        ],
-        dropdownSelects: [
-            ...DEFAULT_SELECTORS.dropdownSelects,
-            ...(Array.isArray(userSelectors.dropdownSelects) ? userSelectors.dropdownSelects : [])
-        ]
-    };
-
-    logger.info('Collecting modules for bundles "cart" and "checkout".');
-
-    const page = await browserContext.newPage();
-
-    await blockMagepack(page);
-    await authenticate(page, authUsername, authPassword);
+const addToCartFromProductPage = async (page, configuration, productUrl, selectors) => {
+    const { timeout = 30000 } = configuration;
 
     // --- STEP 1: Product Page ---
     logger.info(`🌐 Navigating to Product Page: ${productUrl}`);
     await page.goto(productUrl, { waitUntil: 'networkidle0', timeout });
 
+    if (configuration.pageTypeCheck !== false) {
+        await assertPageType(page, 'cart', PAGE_TYPES.product, productUrl);
+    }
+
     // --- STEP 2: Handle Required Options ---
     logger.info('⚙️ Detecting & Configuring product options to enable "Add to Cart"...');
     await page.evaluate((sel) => {
@@ -169,37 +142,161 @@ const checkout = async (
         logger.error(`❌ Add to cart interaction failed: ${e.message}`);
         throw new Error('Failed to populate cart. generation cannot proceed for checkout bundle.');
     }
+};
 
-    const baseUrl = await page.evaluate(() => BASE_URL);
+/**
+ * Collects modules for the cart and checkout pages and returns them as two
+ * separate bundles so each page only loads what it needs.
+ *
+ * The collector:
+ *   1. Navigates to the product page and adds an item to cart, or creates a guest cart
+ *      through the REST API when `checkout.cart.strategy` is `rest` (see `restCart.js`).
+ *   2. Navigates to the cart page  → collects `cart` bundle modules.
+ *   3. Navigates to the checkout page, fills the guest shipping address and advances to
+ *      the payment step (see `checkoutPayment.js`) → collects `checkout` bundle modules.
+ *
+ * Declared `cart` and `checkout` pages may list `interactions` replayed before each
+ * collection (e.g. opening the discount code form).
+ *
+ * Returning two bundles instead of one merged bundle cuts the cart-page payload
+ * by ~40–50 %: cart visitors never download checkout-only JS.
+ *
+ * Both bundles are listed in `TRANSACTIONAL_BUNDLES` (`extractCommonBundle.js`), so
+ * modules shared only by transactional bundles are NOT promoted to the global common bundle.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext Puppeteer's BrowserContext object.
+ * @param {Object} configuration Generation configuration object.
+ * @param {string|string[]} configuration.productUrl URL(s) of product pages; the first one is used
+ *   as the reference product. A declared `product` page in `configuration.pages` takes precedence.
+ * @param {string} [configuration.authUsername] Basic auth username.
+ * @param {string} [configuration.authPassword] Basic auth password.
+ * @param {Object} [configuration.selectors] Custom selectors to override/extend defaults.
+ * @param {Object} [configuration.checkout] Guest email, shipping address, payment step and cart population options.
+ * @param {number} [configuration.timeout=30000] Global navigation timeout.
+ * @returns {Promise<Array<Object>>} Two-element array: [cartBundle, checkoutBundle].
+ * @throws {Error} When the cart is empty, or the cart or checkout page renders another page type
+ *   (e.g. Magento redirecting the checkout back to the cart).
+ */
+const checkout = async (browserContext, configuration) => {
+    const { selectors: userSelectors = {}, timeout = 30000 } = configuration;
 
-    // --- STEP 4: Cart Page ---
-    logger.info(`🌐 Navigating to Cart: ${baseUrl}checkout/cart`);
-    await page.goto(`${baseUrl}checkout/cart`, { waitUntil: 'networkidle0', timeout });
-    const cartModules = await collectModules(page);
-    logger.info(`📦 Collected ${Object.keys(cartModules).length} modules from Cart.`);
+    // The product page is only a vehicle to populate the cart: one sample is enough.
+    const productDefinition = findPageDefinition(configuration, 'product');
+    const [productUrl] = productDefinition && productDefinition.urls.length > 0
+        ? productDefinition.urls
+        : [].concat(configuration.productUrl || []);
 
-    // --- STEP 5: Checkout Page ---
-    logger.info(`🌐 Navigating to Checkout: ${baseUrl}checkout`);
-    await page.goto(`${baseUrl}checkout`, { waitUntil: 'networkidle0', timeout });
+    // 'ui' (default): add to cart from the product page. 'rest': guest cart API (see restCart.js).
+    const cartStrategy = (configuration.checkout && configuration.checkout.cart && configuration.checkout.cart.strategy) || 'ui';
 
-    if (page.url().includes('cart')) {
-        logger.warn('⚠️ REDIRECT DETECTED: Magento sent the browser back to the Cart. The checkout page was not reached.');
+    if (!['ui', 'rest'].includes(cartStrategy)) {
+        throw new Error(`Invalid "checkout.cart.strategy": "${cartStrategy}". Expected "ui" or "rest".`);
     }
 
-    const checkoutModules = await collectModules(page);
-    logger.info(`📦 Collected ${Object.keys(checkoutModules).length} modules from Checkout.`);
+    // The REST strategy only needs a storefront page to read BASE_URL from.
+    const startUrl = cartStrategy === 'rest'
+        ? [productUrl, configuration.cmsUrl, configuration.categoryUrl].flat().find(Boolean)
+        : productUrl;
 
-    await page.close();
+    if (!startUrl) {
+        throw new Error('Missing product URL for bundles "cart" and "checkout". Expected --product-url or a declared "product" page.');
+    }
 
-    logger.success('✨ Finished collecting modules for bundles "cart" and "checkout".');
+    // Merge logic: userSelectors.addToCartButton replaces default, others are concatenated.
+    const selectors = {
+        addToCartButton: userSelectors.addToCartButton || DEFAULT_SELECTORS.addToCartButton,
+        swatchClickers: [
+            ...DEFAULT_SELECTORS.swatchClickers,
+            ...(Array.isArray(userSelectors.swatchClickers) ? userSelectors.swatchClickers : [])
+        ],
+        dropdownSelects: [
+            ...DEFAULT_SELECTORS.dropdownSelects,
+            ...(Array.isArray(userSelectors.dropdownSelects) ? userSelectors.dropdownSelects : [])
+        ]
+    };
 
-    // Return two separate bundles so each page loads only what it needs.
-    // cart receives only cart-page modules; checkout receives only checkout-page modules.
-    // Modules shared between both stay out of common (TRANSACTIONAL_BUNDLES isolation).
-    return [
-        { name: 'cart',     url: `${baseUrl}checkout/cart`, modules: cartModules },
-        { name: 'checkout', url: `${baseUrl}checkout`,      modules: checkoutModules },
-    ];
+    logger.info('Collecting modules for bundles "cart" and "checkout".');
+
+    const page = await configurePage(browserContext, { ...configuration, timeout });
+    await recordArtifacts(page, configuration);
+
+    try {
+        let baseUrl;
+
+        if (cartStrategy === 'rest') {
+            // Any storefront page exposes BASE_URL and opens the browser session.
+            logger.info(`🌐 Opening storefront: ${startUrl}`);
+            await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout });
+            baseUrl = await page.evaluate(() => BASE_URL);
+            await populateRestCart(page, { ...configuration, timeout }, baseUrl);
+        } else {
+            await addToCartFromProductPage(page, configuration, productUrl, selectors);
+            baseUrl = await page.evaluate(() => BASE_URL);
+        }
+
+        // --- STEP 4: Cart Page ---
+        const cartUrl = `${baseUrl}checkout/cart`;
+        logger.info(`🌐 Navigating to Cart: ${cartUrl}`);
+        await page.goto(cartUrl, { waitUntil: 'networkidle0', timeout });
+
+        if (configuration.pageTypeCheck !== false) {
+            await assertPageType(page, 'cart', PAGE_TYPES.cart, cartUrl);
+        }
+
+        // An empty cart has no checkout: its modules are not the ones of a filled cart either.
+        if (await page.$('.cart-empty')) {
+            throw new Error(
+                'The cart is empty: the product was not added or the cart was not attached to the session. ' +
+                'Check the add-to-cart selectors or the "checkout.cart" options.'
+            );
+        }
+
+        await runInteractions(page, (findPageDefinition(configuration, 'cart') || {}).interactions, 'cart');
+        const cartModules = await collectModules(page, configuration);
+        logger.info(`📦 Collected ${Object.keys(cartModules).length} modules from Cart.`);
+
+        // --- STEP 5: Checkout Page ---
+        const checkoutUrl = `${baseUrl}checkout`;
+        logger.info(`🌐 Navigating to Checkout: ${checkoutUrl}`);
+        await page.goto(checkoutUrl, { waitUntil: 'networkidle0', timeout });
+
+        if (configuration.pageTypeCheck !== false) {
+            await assertPageType(page, 'checkout', PAGE_TYPES.checkout, checkoutUrl);
+        }
+
+        // Themes without layout handles in <body>: the redirect is still caught by URL.
+        if (page.url().includes('checkout/cart')) {
+            throw new Error(
+                `Magento redirected ${checkoutUrl} to the cart (${page.url()}): the checkout page was not reached. ` +
+                'Check that the cart holds a saleable product and that guest checkout is enabled.'
+            );
+        }
+
+        // Payment renderers, billing address and place-order modules load on the payment step only.
+        await advanceToPayment(page, { ...configuration, timeout });
+
+        await runInteractions(page, (findPageDefinition(configuration, 'checkout') || {}).interactions, 'checkout');
+
+        const checkoutModules = await collectModules(page, configuration);
+        logger.info(`📦 Collected ${Object.keys(checkoutModules).length} modules from Checkout.`);
+
+        await saveArtifacts(page, configuration, 'checkout');
+
+        logger.success('✨ Finished collecting modules for bundles "cart" and "checkout".');
+
+        // Return two separate bundles so each page loads only what it needs.
+        // cart receives only cart-page modules; checkout receives only checkout-page modules.
+        // Modules shared between both stay out of common (TRANSACTIONAL_BUNDLES isolation).
+        return [
+            { name: 'cart',     url: cartUrl,     modules: cartModules },
+            { name: 'checkout', url: checkoutUrl, modules: checkoutModules },
+        ];
+    } catch (error) {
+        await saveArtifacts(page, configuration, 'checkout', error);
+        throw error;
+    } finally {
+        await page.close();
+    }
 };
 
 export default checkout;
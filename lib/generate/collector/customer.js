@@ -0,0 +1,7 @@
+import { createPageCollector } from './factory.js';
+
+/**
+ * Collects RequireJS modules from the customer account pages (dashboard, order history,
+ * address book). Only runs with a logged-in customer session (`--customer-login`).
+ */
+export default createPageCollector('customer', 'customerUrls');
@@ -1,16 +1,106 @@
-import merge from 'lodash.merge';
 import logger from '../../utils/logger.js';
+import aggregateModules, { DEFAULT_AGGREGATION } from '../aggregateModules.js';
 import collectModules from '../collectModules.js';
 import configurePage from '../configurePage.js';
+import { findPageDefinition } from '../pageDefinitions.js';
+import { assertPageType, resolveExpectedHandles } from '../pageType.js';
+import runInteractions from '../runInteractions.js';
+import { collectPasses } from '../passes.js';
+import { recordArtifacts, saveArtifacts } from '../artifacts.js';
+
+/**
+ * Resolves the list of URLs to visit for a bundle.
+ *
+ * A declared page definition (`pages` section of `magepack.config.js`) takes precedence
+ * over the CLI URL flag stored under `urlConfigKey`.
+ *
+ * @param {Object} config - The generation configuration object.
+ * @param {Object|undefined} pageDefinition - The declared page definition, if any.
+ * @param {string|null} urlConfigKey - The config key holding the CLI URL(s).
+ * @returns {string[]} The URLs to visit.
+ */
+const resolveTargetUrls = (config, pageDefinition, urlConfigKey) => {
+    if (pageDefinition && pageDefinition.urls.length > 0) {
+        return pageDefinition.urls;
+    }
+
+    return urlConfigKey ? [].concat(config[urlConfigKey] || []) : [];
+};
+
+/**
+ * Visits a single URL and returns the RequireJS modules it loaded.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext - The browser context.
+ * @param {Object} config - The generation configuration object.
+ * @param {string} bundleName - The bundle name, used for logging.
+ * @param {string} targetUrl - The URL to visit.
+ * @param {string[]|null} expectedHandles - Layout handles the page must render, null to skip the check.
+ * @param {Array<Object>} [interactions] - Scripted interactions replayed before collecting.
+ * @returns {Promise<Object<string, string>>} Module name to path map.
+ */
+const collectUrl = async (browserContext, config, bundleName, targetUrl, expectedHandles, interactions) => {
+    // Initialize the page using the centralized factory.
+    const page = await configurePage(browserContext, config);
+    await recordArtifacts(page, config);
+
+    try {
+        // Navigate to the target URL.
+        await page.goto(targetUrl, {
+            waitUntil: 'networkidle0',
+            timeout: config.timeout
+        });
+
+        // Fail on redirects to another page type or on 404 pages (unless --no-page-type-check).
+        if (config.pageTypeCheck !== false) {
+            await assertPageType(page, bundleName, expectedHandles, targetUrl);
+        }
+
+        // Trigger modules only required after a user action (minicart, menu, search...).
+        await runInteractions(page, interactions, bundleName);
+
+        // Extract the modules loaded by RequireJS.
+        const modules = await collectModules(page, config);
+        await saveArtifacts(page, config, bundleName);
+
+        return modules;
+    } catch (error) {
+        await saveArtifacts(page, config, bundleName, error);
+
+        // Specialized Error Handling for "Dirty" Environments
+        if (page.magepackDirty) {
+            logger.error(`\n\n❌ CRITICAL ERROR: YOUR SITE IS TRYING TO LOAD OLD BUNDLES!`);
+            logger.error(`The page "${targetUrl}" requested 'magepack/bundle-*' files.`);
+            logger.error(`This caused a deadlock because Magepack blocked them to prevent pollution.`);
+            logger.error(`👉 ACTION REQUIRED: Run the following commands to clean up before generating:\n`);
+            logger.error(`   rm -rf pub/static/frontend/* var/view_preprocessed/*`);
+            logger.error(`   bin/magento setup:static-content:deploy fr_FR -f\n`);
+
+            throw new Error("Generation stopped due to dirty environment (existing bundles detected).");
+        }
+
+        logger.error(`Error collecting modules for "${bundleName}": ${error.message}`);
+        throw error;
+    } finally {
+        // Always close the page to free up memory
+        await page.close();
+    }
+};
 
 /**
  * Creates a standardized collector function for a specific page type.
  *
+ * The URLs are read from the declared page definition named `bundleName` when one
+ * exists in `config.pages`, otherwise from `config[urlConfigKey]`. Each URL is visited
+ * in a fresh page (`config.passes` times, see `passes.js`) and the per-URL module maps are
+ * combined with the page's `aggregation`
+ * mode (falling back to `config.aggregation`, then `union`).
+ *
  * @param {string} bundleName - The name of the bundle (e.g., 'cms', 'category').
- * @param {string} urlConfigKey - The key in the config object holding the target URL (e.g., 'cmsUrl').
+ * @param {string|null} [urlConfigKey=null] - The key in the config object holding the target URL(s)
+ *   (e.g., 'cmsUrl'). Omitted for pages declared only in `magepack.config.js`.
  * @returns {Function} An async collector function.
  */
-export const createPageCollector = (bundleName, urlConfigKey) => {
+export const createPageCollector = (bundleName, urlConfigKey = null) => {
     return async (browserContext, config) => {
         const bundleConfig = {
             url: '',
@@ -18,49 +108,63 @@ export const createPageCollector = (bundleName, urlConfigKey) => {
             modules: {},
         };
 
+        const pageDefinition = findPageDefinition(config, bundleName);
+        const targetUrls = resolveTargetUrls(config, pageDefinition, urlConfigKey);
+
+        if (targetUrls.length === 0) {
+            const expected = urlConfigKey ? `config.${urlConfigKey}` : `a "url" in pages["${bundleName}"]`;
+            throw new Error(`Missing URL configuration for bundle "${bundleName}". Expected ${expected}.`);
+        }
+
+        // A page definition may override the global timeout (expressed in seconds, like the CLI flag)
+        // and the --throttling profile (null for 'none').
+        const pageConfig = { ...config };
+        if (pageDefinition && pageDefinition.timeout) {
+            pageConfig.timeout = parseInt(pageDefinition.timeout, 10) * 1000;
+        }
+        if (pageDefinition && pageDefinition.throttling !== undefined) {
+            pageConfig.throttling = pageDefinition.throttling;
+            logger.info(`[${bundleName}] Throttling: ${pageConfig.throttling ? pageConfig.throttling.label : 'none'}.`);
+        }
+
         logger.info(`Collecting modules for bundle "${bundleName}".`);
 
-        // Initialize the page using the centralized factory.
-        const page = await configurePage(browserContext, config);
-
-        try {
-            const targetUrl = config[urlConfigKey];
-            
-            if (!targetUrl) {
-                throw new Error(`Missing URL configuration for bundle "${bundleName}". Expected config.${urlConfigKey}.`);
-            }
-
-            // Update bundle config with the actual URL being visited
-            bundleConfig.url = targetUrl;
-
-            // Navigate to the target URL.
-            await page.goto(targetUrl, { 
-                waitUntil: 'networkidle0',
-                timeout: config.timeout 
-            });
-
-            // Extract the modules loaded by RequireJS.
-            const collectedModules = await collectModules(page);
-            merge(bundleConfig.modules, collectedModules);
-
-        } catch (error) {
-            // Specialized Error Handling for "Dirty" Environments
-            if (page.magepackDirty) {
-                logger.error(`\n\n❌ CRITICAL ERROR: YOUR SITE IS TRYING TO LOAD OLD BUNDLES!`);
-                logger.error(`The page "${config[urlConfigKey]}" requested 'magepack/bundle-*' files.`);
-                logger.error(`This caused a deadlock because Magepack blocked them to prevent pollution.`);
-                logger.error(`👉 ACTION REQUIRED: Run the following commands to clean up before generating:\n`);
-                logger.error(`   rm -rf pub/static/frontend/* var/view_preprocessed/*`);
-                logger.error(`   bin/magento setup:static-content:deploy fr_FR -f\n`);
-                
-                throw new Error("Generation stopped due to dirty environment (existing bundles detected).");
-            }
-            
-            logger.error(`Error collecting modules for "${bundleName}": ${error.message}`);
-            throw error;
-        } finally {
-            // Always close the page to free up memory
-            await page.close();
+        // Record the first URL being visited (kept as a string for config compatibility).
+        bundleConfig.url = targetUrls[0];
+
+        const aggregation = (pageDefinition && pageDefinition.aggregation)
+            || config.aggregation
+            || DEFAULT_AGGREGATION;
+
+        const expectedHandles = resolveExpectedHandles(bundleName, pageDefinition);
+
+        const samples = [];
+        for (const targetUrl of targetUrls) {
+            // With --passes N, the URL is visited N times and only stable modules are kept.
+            const collectedModules = await collectPasses(
+                () => collectUrl(
+                    browserContext, pageConfig, bundleName, targetUrl, expectedHandles,
+                    pageDefinition && pageDefinition.interactions
+                ),
+                {
+                    passes: config.passes,
+                    stability: config.stability,
+                    bundleName,
+                    url: targetUrl,
+                    unstableModules: config.unstableModules,
+                }
+            );
+            logger.debug(`[${bundleName}] ${Object.keys(collectedModules).length} module(s) on ${targetUrl}`);
+            samples.push(collectedModules);
+        }
+
+        bundleConfig.modules = aggregateModules(samples, aggregation);
+
+        if (samples.length > 1) {
+            logger.info(
+                `[${bundleName}] Aggregated ${samples.length} samples (${aggregation}): ` +
+                `${Object.keys(bundleConfig.modules).length} module(s).`
+            );
         }
 
         logger.success(`Finished collecting modules for bundle "${bundleName}".`);
@@ -2,6 +2,7 @@ export { default as category } from './category.js';
 export { default as cms } from './cms.js';
 export { default as product } from './product.js';
 export { default as checkout } from './checkout.js';
+export { default as customer } from './customer.js';
 
 /**
  * Collectors that must run AFTER all independent collectors complete.
@@ -9,3 +10,19 @@ export { default as checkout } from './checkout.js';
  * @type {Set<string>}
  */
 export const SEQUENTIAL_COLLECTORS = new Set(['checkout']);
+
+/**
+ * Collectors that need a logged-in customer session. They only run with
+ * `--customer-login`, in the browser context where the customer logged in.
+ * @type {Set<string>}
+ */
+export const AUTHENTICATED_COLLECTORS = new Set(['customer']);
+
+/**
+ * Bundles emitted by collectors that produce more than one bundle. A declared page
+ * named after one of them (e.g. `cart`) only sets options such as `interactions`.
+ * @type {Object<string, string[]>}
+ */
+export const COLLECTOR_BUNDLES = {
+    checkout: ['cart', 'checkout'],
+};
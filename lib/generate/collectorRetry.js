@@ -0,0 +1,151 @@
+/**
+ * @file lib/generate/collectorRetry.js
+ * @description Per-collector retries with backoff, failure policy and end-of-run summary.
+ *
+ * A collector failing on a flaky page (checkout redirect, slow add-to-cart) is retried up to
+ * `--retries` times, waiting `--retry-delay` seconds, then twice as long before each further
+ * attempt. When it still fails, `--on-collector-failure` decides:
+ *   - `abort` (default): the error stops the generation, as before;
+ *   - `skip`: the collector's bundles are taken from the existing `magepack.config.js`
+ *     (numbered chunks and `-deferred` parts folded back into one bundle) and the other
+ *     collectors' fresh results are kept. Without a previous bundle, the page type is left out.
+ *
+ * Reused bundles are final bundles: the modules they shared through vendor/common are not in
+ * them, so extraction counts them for the fresh page types only.
+ *
+ * @module generate/collectorRetry
+ */
+
+import logger from '../utils/logger.js';
+import { COLLECTOR_BUNDLES } from './collector/index.js';
+
+/**
+ * Accepted `--on-collector-failure` policies.
+ * @type {string[]}
+ */
+export const FAILURE_POLICIES = ['abort', 'skip'];
+
+/**
+ * Validates the retry options.
+ *
+ * @param {Object} config - The generation configuration.
+ * @param {string|number} [config.retries] - Retries per collector.
+ * @param {string|number} [config.retryDelay] - First retry delay in seconds.
+ * @param {string} [config.onCollectorFailure] - The failure policy.
+ * @throws {Error} On a negative or non-numeric value, or an unknown policy.
+ */
+export const validateRetryOptions = ({ retries, retryDelay, onCollectorFailure }) => {
+    if (retries !== undefined && !(Number.isInteger(Number(retries)) && Number(retries) >= 0)) {
+        throw new Error(`Invalid --retries value "${retries}". Expected a number of retries (0 or more).`);
+    }
+    if (retryDelay !== undefined && !(Number(retryDelay) >= 0)) {
+        throw new Error(`Invalid --retry-delay value "${retryDelay}". Expected a number of seconds.`);
+    }
+    if (onCollectorFailure !== undefined && !FAILURE_POLICIES.includes(onCollectorFailure)) {
+        throw new Error(`Invalid --on-collector-failure value "${onCollectorFailure}". Expected "abort" or "skip".`);
+    }
+};
+
+/**
+ * Rebuilds the bundles of a collector from the previous config: `product`, `product-1`,
+ * `product-deferred`... are folded back into `product`.
+ *
+ * @param {string} name - The collector name.
+ * @param {Array<Object>} previousBundles - The bundles of the existing config.
+ * @returns {Array<Object>} The previous bundles found, possibly none.
+ */
+const findPreviousBundles = (name, previousBundles) => {
+    return (COLLECTOR_BUNDLES[name] || [name]).flatMap((bundleName) => {
+        const pattern = new RegExp(`^${bundleName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(-deferred)?(-\\d+)?$`);
+        const parts = previousBundles.filter(bundle => pattern.test(bundle.name));
+        if (parts.length === 0) return [];
+
+        const main = parts.find(bundle => bundle.name === bundleName) || parts[0];
+        const modules = Object.assign({}, ...parts.map(bundle => bundle.modules));
+        return [main.url ? { name: bundleName, url: main.url, modules } : { name: bundleName, modules }];
+    });
+};
+
+/**
+ * Runs one collector with retries and applies the failure policy.
+ *
+ * @param {string} name - The collector name.
+ * @param {Function} collectorFn - The collector.
+ * @param {import('puppeteer').BrowserContext} browserContext - The browser context.
+ * @param {Object} config - The generation configuration.
+ * @param {string|number} [config.retries=0] - Retries after the first attempt.
+ * @param {string|number} [config.retryDelay=2] - First retry delay in seconds, doubled at each retry.
+ * @param {string} [config.onCollectorFailure='abort'] - `abort` or `skip`.
+ * @param {Array<Object>} [config.previousBundles] - The bundles of the existing config, for `skip`.
+ * @param {Array<Object>} [config.collectorSummary] - Receives `{name, status, attempts, error, bundles}`.
+ * @returns {Promise<Object|Array<Object>>} The collector result, the previous bundles or an empty list.
+ * @throws {Error} The last error, with the `abort` policy.
+ */
+export const runCollector = async (name, collectorFn, browserContext, config) => {
+    const attempts = Number(config.retries || 0) + 1;
+    const delay = Number(config.retryDelay === undefined ? 2 : config.retryDelay) * 1000;
+    const summary = config.collectorSummary || [];
+
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const result = await collectorFn(browserContext, config);
+            summary.push({ name, status: attempt > 1 ? 'retried' : 'ok', attempts: attempt });
+            return result;
+        } catch (error) {
+            lastError = error;
+            if (attempt < attempts) {
+                const wait = delay * 2 ** (attempt - 1);
+                logger.warn(`🔁 Collector "${name}" failed (attempt ${attempt}/${attempts}): ${error.message}. Retrying in ${wait / 1000}s...`);
+                await new Promise(r => setTimeout(r, wait));
+            }
+        }
+    }
+
+    if (config.onCollectorFailure !== 'skip') {
+        summary.push({ name, status: 'failed', attempts, error: lastError.message });
+        throw lastError;
+    }
+
+    const previous = findPreviousBundles(name, config.previousBundles || []);
+    summary.push({
+        name,
+        status: previous.length > 0 ? 'fallback' : 'skipped',
+        attempts,
+        error: lastError.message,
+        bundles: previous.map(bundle => bundle.name),
+    });
+
+    logger.warn(previous.length > 0
+        ? `♻️  Collector "${name}" failed: keeping the previous bundle(s) ${previous.map(b => b.name).join(', ')}.`
+        : `⏭️  Collector "${name}" failed and has no previous bundle: skipped.`);
+
+    return previous;
+};
+
+/**
+ * Prints which collectors succeeded, were retried, fell back or failed.
+ *
+ * @param {Array<Object>} collectorSummary - The entries recorded by `runCollector()`.
+ */
+export const reportCollectorSummary = (collectorSummary) => {
+    if (collectorSummary.length === 0) return;
+
+    const describe = ({ status, attempts, error, bundles }) => {
+        switch (status) {
+            case 'ok': return '✅ ok';
+            case 'retried': return `🔁 ok after ${attempts} attempts`;
+            case 'fallback': return `♻️  failed after ${attempts} attempt(s), kept previous ${bundles.join(', ')} (${error})`;
+            case 'skipped': return `⏭️  failed after ${attempts} attempt(s), skipped (${error})`;
+            default: return `❌ failed after ${attempts} attempt(s) (${error})`;
+        }
+    };
+
+    const width = Math.max(...collectorSummary.map(entry => entry.name.length));
+    const hasProblem = collectorSummary.some(entry => entry.status !== 'ok');
+
+    logger[hasProblem ? 'warn' : 'info']('📋 Collector summary:');
+    collectorSummary.forEach((entry) => {
+        logger[entry.status === 'ok' ? 'info' : 'warn'](`   ${entry.name.padEnd(width)}  ${describe(entry)}`);
+    });
+};
@@ -1,5 +1,7 @@
 import authenticate from './authenticate.js';
 import blockMagepack from './blockMagepack.js';
+import { watchPageErrors } from './pageErrors.js';
+import { applyThrottling } from './throttling.js';
 
 /**
  * Configures and initializes a new Puppeteer page instance with standardized settings.
@@ -8,13 +10,18 @@ import blockMagepack from './blockMagepack.js';
  * the global configuration, including:
  * - Strict timeouts for navigation and selectors.
  * - Blocking/Neutralizing of existing Magepack bundles to prevent double-bundling pollution.
+ * - Blocking of analytics, tag managers, chat widgets and images (`requestBlocking` config section).
  * - HTTP Basic Authentication (if credentials are provided).
+ * - Network and CPU throttling (`--throttling` or the page's `throttling`, see `throttling.js`).
  *
  * @param {import('puppeteer').BrowserContext} browserContext - The isolated browser context to create the page in.
  * @param {Object} config - The generation configuration object.
  * @param {string|number} config.timeout - Global timeout in milliseconds.
  * @param {string} [config.authUsername] - HTTP Basic Auth username.
  * @param {string} [config.authPassword] - HTTP Basic Auth password.
+ * @param {Object} [config.viewport] - Viewport of the page, overriding the browser default (see `viewports.js`).
+ * @param {Object|null} [config.throttling] - Network and CPU throttling, as returned by `parseThrottling()`.
+ * @param {Map<string, number>} [config.moduleCoverage] - When given, JS coverage is recorded (see `coverage.js`).
  * @returns {Promise<import('puppeteer').Page>} A promise that resolves to the fully configured Puppeteer Page instance.
  */
 export default async (browserContext, config) => {
@@ -23,10 +30,29 @@ export default async (browserContext, config) => {
     // --- MAGEPACK EVOLUTION: RequireJS Hooks & Config Sanitization ---
     // We inject a script before the page loads to hook into RequireJS.
     // This allows us to:
-    // 1. Record the EXACT order in which modules are fully resolved.
+    // 1. Record the EXACT order (and time) in which modules are fully resolved.
     // 2. Intercept 'require.config' to remove existing Magepack bundles causing deadlocks.
     await page.evaluateOnNewDocument(() => {
         window.__magepackOrderedModules = [];
+        window.__magepackDependencies = {};
+        window.__magepackLoadTimes = {};
+        window.__magepackRequireErrors = [];
+
+        // First user interaction, the last load timing milestone (see loadTiming.js). The
+        // auto-scroll of collectModules() is not one: it flags itself with __magepackAutoScrolling.
+        ['scroll', 'wheel', 'pointerdown', 'touchstart', 'keydown'].forEach((type) => {
+            window.addEventListener(type, () => {
+                if (window.__magepackFirstInteraction === undefined && !window.__magepackAutoScrolling) {
+                    window.__magepackFirstInteraction = performance.now();
+                }
+            }, { capture: true, passive: true });
+        });
+
+        // The default buffer (250 entries) is too small for the module sizes read by
+        // collectModules() on pages loading hundreds of scripts.
+        if (window.performance && performance.setResourceTimingBufferSize) {
+            performance.setResourceTimingBufferSize(5000);
+        }
 
         /**
          * Hooks into a RequireJS instance to attach listeners and sanitizers.
@@ -37,18 +63,49 @@ export default async (browserContext, config) => {
             instance._magepackHooked = true;
 
             // ---------------------------------------------------------
-            // 1. Capture Execution Order (onResourceLoad)
+            // 1. Capture Execution Order and Dependencies (onResourceLoad)
             // ---------------------------------------------------------
             const originalLoad = instance.onResourceLoad;
             instance.onResourceLoad = function (context, map, depArray) {
                 // 'map.name' is the module ID (e.g., 'jquery', 'Magento_Ui/js/modal/modal').
                 if (map.name) {
                     window.__magepackOrderedModules.push(map.name);
+
+                    if (window.__magepackLoadTimes[map.name] === undefined) {
+                        window.__magepackLoadTimes[map.name] = performance.now();
+                    }
+
+                    // Dependency IDs keep their plugin prefix (e.g. 'text!...'); the
+                    // CommonJS pseudo-modules are not files.
+                    window.__magepackDependencies[map.name] = (depArray || [])
+                        .map(dep => dep && (dep.id || dep.name))
+                        .filter(id => id && !['require', 'exports', 'module'].includes(id));
                 }
                 // Always call the original method to not break functionality.
                 if (originalLoad) originalLoad.apply(this, arguments);
             };
 
+            // Record RequireJS load errors (see pageErrors.js), then keep the default behaviour.
+            // require.js assigns `req.onError = defaultOnError` right after this hook runs (and
+            // sites may assign their own handler): the property keeps the recorder in front of
+            // whatever handler is assigned.
+            let onError = instance.onError;
+            const recordError = function (err) {
+                window.__magepackRequireErrors.push({
+                    type: err.requireType || 'error',
+                    modules: err.requireModules || [],
+                    message: err.message,
+                });
+                if (onError) return onError.apply(this, arguments);
+                throw err;
+            };
+            Object.defineProperty(instance, 'onError', {
+                get() { return recordError; },
+                set(handler) { onError = handler; },
+                configurable: true,
+                enumerable: true,
+            });
+
             // ---------------------------------------------------------
             // 2. Intercept Configuration (Fix for "Blocking/Deadlock" issue)
             // ---------------------------------------------------------
@@ -99,17 +156,33 @@ export default async (browserContext, config) => {
     });
     // ---------------------------------------------------
 
+    // Mobile or desktop viewport of the current collection pass (see viewports.js).
+    if (config.viewport) {
+        await page.setViewport(config.viewport);
+    }
+
     // Set strict default timeouts for all subsequent operations on this page.
     page.setDefaultTimeout(config.timeout);
     page.setDefaultNavigationTimeout(config.timeout);
 
     // Prevent network requests to existing bundles (Safety net)
-    await blockMagepack(page);
+    await blockMagepack(page, config);
+
+    // Console errors, uncaught errors and failed scripts, read by collectModules().
+    watchPageErrors(page);
 
     // Perform authentication if credentials are provided in the config.
     if (config.authUsername && config.authPassword) {
         await authenticate(page, config.authUsername, config.authPassword);
     }
 
+    // Slow network and CPU, applied through CDP before navigation.
+    await applyThrottling(page, config.throttling);
+
+    // JS coverage must run before navigation to see the code executed on load (see coverage.js).
+    if (config.moduleCoverage) {
+        await page.coverage.startJSCoverage({ resetOnNavigation: true });
+    }
+
     return page;
 };
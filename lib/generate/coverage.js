@@ -0,0 +1,179 @@
+/**
+ * @file lib/generate/coverage.js
+ * @description Detects collected modules that execute almost none of their code (Chrome JS coverage).
+ *
+ * Many `x-magento-init` components are defined on every page and do nothing on most of them,
+ * yet they ship in the page bundle. With `--coverage`, `configurePage()` starts Puppeteer's JS
+ * coverage before navigation and `collectModules()` records, per module, the share of its file
+ * that ran (block coverage: the `define()` factory always runs, the functions it returns only
+ * when called). The best share over all sampled pages is kept.
+ *
+ * Modules whose best share stays under `--coverage-threshold` (default `5%`) are reported, and
+ * with `--coverage lazy` moved to a `lazy` bundle (RequireJS fetches it once one of them is
+ * required), or with `--coverage exclude` left out of the bundles (loaded individually).
+ *
+ * @module generate/coverage
+ */
+
+import logger from '../utils/logger.js';
+import { formatBytes } from '../bundle/service/reporter.js';
+
+/**
+ * Accepted `--coverage` actions.
+ * @type {string[]}
+ */
+export const COVERAGE_ACTIONS = ['report', 'lazy', 'exclude'];
+
+/**
+ * Default `--coverage-threshold`.
+ * @type {string}
+ */
+export const DEFAULT_COVERAGE_THRESHOLD = '5%';
+
+/**
+ * Name of the bundle receiving unused modules with `--coverage lazy`.
+ * @type {string}
+ */
+const LAZY_BUNDLE = 'lazy';
+
+/**
+ * Number of modules listed at info level; the rest is logged at debug level.
+ * @type {number}
+ */
+const REPORT_LIMIT = 20;
+
+/**
+ * Validates a `--coverage` value (`true` when the flag is given without one).
+ *
+ * @param {string|boolean} action - The action.
+ * @returns {string} The action.
+ * @throws {Error} When the action is unknown.
+ */
+export const parseCoverageAction = (action) => {
+    if (action === true) return 'report';
+
+    if (!COVERAGE_ACTIONS.includes(action)) {
+        throw new Error(`Invalid --coverage value "${action}". Expected ${COVERAGE_ACTIONS.map(a => `"${a}"`).join(', ')}.`);
+    }
+
+    return action;
+};
+
+/**
+ * Parses a `--coverage-threshold` value.
+ *
+ * @param {string|number} value - A percentage such as `'5%'` (or `5`).
+ * @returns {number} The threshold, between 0 and 1.
+ * @throws {Error} When the value is not a percentage between 0 and 100.
+ */
+export const parseCoverageThreshold = (value) => {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)%?$/);
+
+    if (!match || parseFloat(match[1]) > 100) {
+        throw new Error(`Invalid --coverage-threshold value "${value}". Expected a percentage such as "5%".`);
+    }
+
+    return parseFloat(match[1]) / 100;
+};
+
+/**
+ * Records the executed share of each module file from one page's coverage entries, keeping
+ * the best share seen on any page.
+ *
+ * @param {Map<string, number>} moduleCoverage - The executed share of each module, being recorded.
+ * @param {Array<{url: string, text: string, ranges: Array<{start: number, end: number}>}>} entries -
+ *   The entries returned by `page.coverage.stopJSCoverage()`.
+ * @param {Object<string, string>} moduleUrls - The resolved file URL of each collected module.
+ */
+export const recordCoverage = (moduleCoverage, entries, moduleUrls) => {
+    /** @type {Map<string, number>} Executed share per file URL, query string stripped. */
+    const shares = new Map();
+    entries.forEach(({ url, text, ranges }) => {
+        if (!text) return;
+        const used = ranges.reduce((total, range) => total + range.end - range.start, 0);
+        shares.set(url.replace(/[?#].*$/, ''), used / text.length);
+    });
+
+    Object.entries(moduleUrls).forEach(([moduleName, moduleUrl]) => {
+        // Magento minification may serve `.min.js` for a module resolved to `.js`.
+        const fileUrl = moduleUrl.replace(/\.js$/, '');
+        const share = [moduleUrl, `${fileUrl}.js`, `${fileUrl}.min.js`]
+            .map(url => shares.get(url))
+            .find(value => value !== undefined);
+
+        if (share !== undefined) {
+            moduleCoverage.set(moduleName, Math.max(share, moduleCoverage.get(moduleName) || 0));
+        }
+    });
+};
+
+/**
+ * Reports the modules executing less than the threshold of their code and, depending on the
+ * action, moves them to a `lazy` bundle or removes them from the bundles.
+ *
+ * @param {Array<Object>} bundles - The final bundles.
+ * @param {Object} options
+ * @param {string} options.action - `report`, `lazy` or `exclude`.
+ * @param {string|number} [options.threshold] - The `--coverage-threshold` value.
+ * @param {Map<string, number>} options.moduleCoverage - The recorded executed shares.
+ * @param {Map<string, number>} [options.moduleSizes] - The recorded module sizes, for the report.
+ * @returns {Array<Object>} The bundles.
+ */
+export default (bundles, { action, threshold = DEFAULT_COVERAGE_THRESHOLD, moduleCoverage, moduleSizes = new Map() }) => {
+    if (moduleCoverage.size === 0) {
+        logger.warn('⚠️ No JS coverage recorded (offline generation?): no unused module reported.');
+        return bundles;
+    }
+
+    const limit = parseCoverageThreshold(threshold);
+
+    /** @type {Map<string, string[]>} Bundles of each unused module. */
+    const unused = new Map();
+    bundles.forEach((bundle) => {
+        Object.keys(bundle.modules).forEach((moduleName) => {
+            if (!moduleCoverage.has(moduleName) || moduleCoverage.get(moduleName) >= limit) return;
+            if (!unused.has(moduleName)) unused.set(moduleName, []);
+            unused.get(moduleName).push(bundle.name);
+        });
+    });
+
+    if (unused.size === 0) {
+        logger.info(`🧪 Every covered module executes at least ${threshold} of its code.`);
+        return bundles;
+    }
+
+    const rows = [...unused.keys()]
+        .sort((a, b) => (moduleSizes.get(b) || 0) - (moduleSizes.get(a) || 0))
+        .map((moduleName) => {
+            const size = moduleSizes.has(moduleName) ? ` of ${formatBytes(moduleSizes.get(moduleName))}` : '';
+            const share = (moduleCoverage.get(moduleName) * 100).toFixed(1);
+            return `   ${moduleName}: ${share}%${size} executed (${unused.get(moduleName).join(', ')})`;
+        });
+
+    logger.info(`🧪 ${unused.size} bundled module(s) execute less than ${threshold} of their code:`);
+    rows.slice(0, REPORT_LIMIT).forEach(row => logger.info(row));
+    if (rows.length > REPORT_LIMIT) {
+        logger.info(`   ... and ${rows.length - REPORT_LIMIT} more (see --debug).`);
+        rows.slice(REPORT_LIMIT).forEach(row => logger.debug(row));
+    }
+
+    if (action === 'report') return bundles;
+
+    const lazyModules = {};
+    const strippedBundles = bundles.map(bundle => ({
+        ...bundle,
+        modules: Object.fromEntries(Object.entries(bundle.modules).filter(([moduleName, modulePath]) => {
+            if (!unused.has(moduleName)) return true;
+            lazyModules[moduleName] = modulePath;
+            return false;
+        })),
+    }));
+
+    if (action === 'exclude') {
+        logger.info(`🧪 Excluded ${unused.size} unused module(s) from the bundles.`);
+        return strippedBundles;
+    }
+
+    logger.info(`🧪 Moved ${unused.size} unused module(s) to the "${LAZY_BUNDLE}" bundle.`);
+    return [...strippedBundles, { name: LAZY_BUNDLE, modules: lazyModules }];
+};
@@ -0,0 +1,122 @@
+/* global BASE_URL */
+
+/**
+ * @file lib/generate/customerLogin.js
+ * @description Logs a storefront customer in, so collectors can run with a customer session.
+ *
+ * Logged-in customers load modules anonymous visitors never do (customer-data sections,
+ * wishlist, reorder...). The session lives in the cookies of the browser context used
+ * for the login, so every page later opened in that context is logged in.
+ *
+ * Credentials are read from the environment only (never from CLI flags, which show up
+ * in `ps aux`): `MAGEPACK_CUSTOMER_EMAIL` and `MAGEPACK_CUSTOMER_PASSWORD`.
+ *
+ * @module generate/customerLogin
+ */
+
+import logger from '../utils/logger.js';
+import configurePage from './configurePage.js';
+import { detectPageType } from './pageType.js';
+
+/**
+ * Default CSS selectors of the Luma `customer/account/login` form.
+ * Override them with `loginEmail`, `loginPassword` and `loginButton` in the `selectors` config key.
+ * @type {Object}
+ */
+const DEFAULT_SELECTORS = {
+    /** @type {string} Email input of the login form */
+    loginEmail: '#login-form #email',
+    /** @type {string} Password input of the login form */
+    loginPassword: '#login-form #pass',
+    /** @type {string} Submit button of the login form */
+    loginButton: '#login-form #send2',
+};
+
+/**
+ * Account pages collected into the `customer` bundle, relative to the store base URL:
+ * account dashboard, order history and address book.
+ * @type {string[]}
+ */
+export const CUSTOMER_PAGE_PATHS = [
+    'customer/account/',
+    'sales/order/history/',
+    'customer/address/',
+];
+
+/**
+ * Reads the customer credentials from the environment.
+ *
+ * @returns {{email: string, password: string}}
+ * @throws {Error} When a variable is missing.
+ */
+export const getCustomerCredentials = () => {
+    const email = process.env.MAGEPACK_CUSTOMER_EMAIL;
+    const password = process.env.MAGEPACK_CUSTOMER_PASSWORD;
+
+    if (!email || !password) {
+        throw new Error(
+            'Customer login requires the MAGEPACK_CUSTOMER_EMAIL and MAGEPACK_CUSTOMER_PASSWORD environment variables.'
+        );
+    }
+
+    return { email, password };
+};
+
+/**
+ * Logs a customer in through the storefront login form.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext - The context that will hold the session.
+ * @param {Object} config - The generation configuration object.
+ * @param {number} config.timeout - Navigation timeout in milliseconds.
+ * @param {Object} [config.selectors] - Custom selectors overriding the login form defaults.
+ * @param {string} startUrl - Any storefront URL, used to read Magento's `BASE_URL`.
+ * @returns {Promise<string>} The store base URL (with trailing slash).
+ * @throws {Error} When the login form cannot be submitted or the account page is not reached.
+ */
+export default async (browserContext, config, startUrl) => {
+    const { email, password } = getCustomerCredentials();
+    const userSelectors = config.selectors || {};
+    const selectors = {
+        loginEmail: userSelectors.loginEmail || DEFAULT_SELECTORS.loginEmail,
+        loginPassword: userSelectors.loginPassword || DEFAULT_SELECTORS.loginPassword,
+        loginButton: userSelectors.loginButton || DEFAULT_SELECTORS.loginButton,
+    };
+
+    const page = await configurePage(browserContext, config);
+
+    try {
+        await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: config.timeout });
+        const baseUrl = await page.evaluate(() => BASE_URL);
+
+        const loginUrl = `${baseUrl}customer/account/login/`;
+        // CI logs are often public: the account is only named in --debug output.
+        logger.info(`🔑 Logging in customer at ${loginUrl}`);
+        logger.debug(`Customer account: ${email}`);
+        await page.goto(loginUrl, { waitUntil: 'networkidle0', timeout: config.timeout });
+
+        try {
+            await page.waitForSelector(selectors.loginEmail, { visible: true, timeout: 5000 });
+        } catch (e) {
+            throw new Error(`Login form not found (selector "${selectors.loginEmail}"). Override "loginEmail" in the selectors config.`);
+        }
+
+        await page.type(selectors.loginEmail, email);
+        await page.type(selectors.loginPassword, password);
+
+        await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle0', timeout: config.timeout }),
+            page.click(selectors.loginButton),
+        ]);
+
+        const { handle } = await detectPageType(page);
+        if (handle === 'customer-account-login' || page.url().includes('customer/account/login')) {
+            throw new Error('Customer login failed: still on the login page. Check the credentials.');
+        }
+
+        logger.success(`🔑 Customer logged in (landed on ${handle || page.url()}).`);
+
+        return baseUrl;
+    } finally {
+        await page.close();
+    }
+};
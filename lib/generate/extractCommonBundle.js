@@ -6,7 +6,9 @@
  * This module implements the "Smart Splitting" algorithm that categorizes collected
  * RequireJS modules into three tiers:
  *   1. **Vendor**: Core infrastructure (jQuery, KnockoutJS, RequireJS internals, Fotorama).
- *   2. **Common**: Business logic shared across 2+ non-transactional page types.
+ *   2. **Common**: Business logic shared across 2+ non-transactional page types, or, when
+ *      the config declares page `traffic` weights, whose promotion saves bytes across
+ *      weighted pageviews (see `getPromotionGain`).
  *   3. **Page-specific**: Modules unique to CMS, Category, Product, or Checkout.
  *
  * The algorithm preserves the original module execution order captured by Puppeteer
@@ -27,6 +29,9 @@
  *     jQuery, preserving correct `$.fn` initialization order.
  */
 
+import logger from '../utils/logger.js';
+import compileExtractionRules from './extractionRules.js';
+
 /**
  * ============================================================================
  * CONSTANTS & CONFIGURATION
@@ -44,6 +49,7 @@
  * - 2: Aggressive. Modules used on >= 2 distinct page types move to 'common'.
  * (e.g., Category + Product).
  * *Note:* Protected by Transactional Isolation logic below.
+ * Overridden by `extraction.minUsage` in `magepack.config.js` (see `extractionRules.js`).
  */
 const MIN_USAGE_THRESHOLD = 2;
 
@@ -52,10 +58,12 @@ const MIN_USAGE_THRESHOLD = 2;
  * List of bundles considered "Transactional" or "Private".
  * Modules shared *only* between these bundles should NOT be promoted to global common,
  * as they would unnecessarily bloat the Homepage/Landing pages.
+ * `customer` (account pages, `--customer-login`) is only reachable with a session.
+ * Extended by `extraction.transactional` in `magepack.config.js`.
  *
  * @type {Set<string>}
  */
-const TRANSACTIONAL_BUNDLES = new Set(['checkout', 'cart']);
+export const TRANSACTIONAL_BUNDLES = new Set(['checkout', 'cart', 'customer']);
 
 /**
  * MIN_BUNDLE_MODULES
@@ -79,6 +87,7 @@ const MIN_BUNDLE_MODULES = 1;
  * List of modules that are explicitly forced into the 'common' bundle,
  * regardless of their usage count.
  * Useful for business logic that you always want available.
+ * Prefer `extraction.common` in `magepack.config.js` to editing this list.
  *
  * @type {string[]}
  */
@@ -90,6 +99,7 @@ const MANUAL_COMMON_MODULES = [
  * CRITICAL_EXACT_MODULES (Vendor Forced)
  * List of critical module paths (exact match) that MUST be included in the Vendor bundle.
  * These files are requested early and must be present to prevent 404/MIME errors.
+ * `extraction.common` rules take precedence; `extraction.defaults: false` disables the list.
  *
  * @type {Set<string>}
  */
@@ -151,6 +161,67 @@ const MAGENTO_MODULE_REGEX = /^[A-Z][a-zA-Z0-9]+_[A-Z][a-zA-Z0-9]+\//;
  * ============================================================================
  */
 
+/**
+ * Normalizes the `traffic` config section into pageview shares summing to 1.
+ *
+ * Values are relative weights per page type: percentages (`55` or `'55%'`) or raw
+ * pageview counts (as written by `--from-access-log`) are both accepted.
+ *
+ * @param {Object<string, number|string>} [traffic] - Weights keyed by bundle name.
+ * @returns {Map<string, number>|null} Shares keyed by bundle name, or null without traffic.
+ * @throws {Error} When a weight is not a positive number or every weight is zero.
+ */
+export const normalizeTraffic = (traffic) => {
+    if (traffic === undefined || traffic === null) return null;
+
+    if (typeof traffic !== 'object' || Array.isArray(traffic)) {
+        throw new Error('Invalid config: "traffic" must map bundle names to weights (e.g. { product: 55, category: 30 }).');
+    }
+
+    const weights = Object.entries(traffic).map(([name, value]) => {
+        const weight = typeof value === 'string' ? parseFloat(value.replace(/%$/, '')) : value;
+
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Invalid config: traffic.${name} must be a positive number or percentage, got "${value}".`);
+        }
+
+        return [name, weight];
+    });
+
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total === 0) {
+        throw new Error('Invalid config: every "traffic" weight is zero.');
+    }
+
+    return new Map(weights.map(([name, weight]) => [name, weight / total]));
+};
+
+/**
+ * Expected gain of promoting a module to common, per byte of the module, per pageview.
+ *
+ * Left in page-specific bundles, a module is duplicated in each bundle using it: a visit
+ * reaching several of those page types downloads it once per bundle. Promoted to common,
+ * it is downloaded once, but also by pageviews of page types that never use it.
+ *
+ *   saved  = W(using) - max w(using)   duplicate downloads avoided beyond the first bundle
+ *   wasted = 1 - W(using)              pageviews downloading a module they do not use
+ *
+ * where W is the summed traffic share of the page types using the module. Both terms scale
+ * with the module size, so a module is worth promoting when `saved - wasted > 0`: shared by
+ * product (55%) and category (30%) it gains 0.30 - 0.15; used on cms (10%) and checkout (5%)
+ * only, it loses 0.05 - 0.85.
+ *
+ * @param {Set<string>} presence - Names of the bundles using the module.
+ * @param {Map<string, number>} shares - Normalized traffic shares.
+ * @returns {number} The gain, between -1 and 1.
+ */
+const getPromotionGain = (presence, shares) => {
+    const weights = [...presence].map(name => shares.get(name) || 0);
+    const used = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return (used - Math.max(...weights)) - (1 - used);
+};
+
 /**
  * Normalizes a RequireJS module name by stripping plugin prefixes and file extensions.
  *
@@ -191,11 +262,12 @@ const isCriticalInfrastructure = (cleanName) => {
  *   - Everything else → Vendor (third-party libraries)
  *
  * @param {string} cleanName - The cleaned module name.
+ * @param {boolean} isCritical - Whether the module is critical infrastructure.
  * @returns {'vendor'|'common'} The target bundle type.
  */
-const getTargetBundleType = (cleanName) => {
+const getTargetBundleType = (cleanName, isCritical) => {
     if (/\.(html|json)$/i.test(cleanName)) return 'common';
-    if (isCriticalInfrastructure(cleanName)) return 'vendor';
+    if (isCritical) return 'vendor';
     if (MAGENTO_MODULE_REGEX.test(cleanName)) return 'common';
     return 'vendor';
 };
@@ -216,6 +288,44 @@ const isExplicitlyCommon = (moduleName) => {
  * ============================================================================
  */
 
+/**
+ * Moves the modules matching the `extraction.vendor` and `extraction.common` rules out of
+ * the given bundles. Used in `--merge` mode, where `extractCommonBundle` does not run but
+ * forced placements must still be honoured, and by `--strategy cluster` (with `critical`).
+ * Modules already in their target bundle stay.
+ *
+ * @param {Array<{name: string, modules: Object.<string, string>}>} bundles - The bundles
+ *   to clean, modified in place.
+ * @param {Object} [extraction] - The `extraction` config section.
+ * @param {Object} [options]
+ * @param {boolean} [options.critical=false] - Also force critical infrastructure (RequireJS,
+ *   jQuery, Knockout, mage core...) to vendor, unless `extraction.defaults` is false or an
+ *   `extraction.common` rule matches, as the page-type split does.
+ * @returns {{vendor: Object.<string, string>, common: Object.<string, string>}} The moved modules.
+ */
+export const extractForcedModules = (bundles, extraction, { critical = false } = {}) => {
+    const rules = compileExtractionRules(extraction);
+    const forced = { vendor: {}, common: {} };
+
+    bundles.forEach((bundle) => {
+        Object.entries(bundle.modules).forEach(([moduleName, modulePath]) => {
+            const cleanName = cleanModuleName(moduleName);
+            const isCritical = critical && rules.defaults && isCriticalInfrastructure(cleanName);
+            const target = rules.isVendor(moduleName, cleanName) ? 'vendor'
+                : rules.isCommon(moduleName, cleanName) ? 'common'
+                    : isCritical ? 'vendor' : null;
+            if (!target || bundle.name === target) return;
+
+            if (!(moduleName in forced[target])) {
+                forced[target][moduleName] = modulePath;
+            }
+            delete bundle.modules[moduleName];
+        });
+    });
+
+    return forced;
+};
+
 /**
  * Extracts common and vendor modules from page-specific bundles while preserving
  * execution order.
@@ -231,12 +341,35 @@ const isExplicitlyCommon = (moduleName) => {
  *   4. **Assembly**: Vendor and Common bundles are prepended to the output array,
  *      followed by the (now cleaned) page-specific bundles.
  *
+ * With `options.traffic`, modules meeting the usage count of step 2 must also have a
+ * positive traffic-weighted gain (`getPromotionGain()`); bundles missing from `traffic`
+ * weigh nothing. `options.extraction` overrides the usage threshold and forces the
+ * placement of matching modules, whatever their usage (see `extractionRules.js`).
+ *
  * @param {Array<{name: string, modules: Object.<string, string>}>} bundles - The collected
  *   page-specific bundles from the `generate` phase.
+ * @param {Object} [options]
+ * @param {Object<string, number|string>} [options.traffic] - Pageview weights per bundle name.
+ * @param {Object} [options.extraction] - The `extraction` config section.
  * @returns {Array<{name: string, modules: Object.<string, string>}>} The final bundle array
  *   with Vendor and Common prepended.
  */
-export default function (bundles) {
+export default function (bundles, options = {}) {
+    const shares = normalizeTraffic(options.traffic);
+    const rules = compileExtractionRules(options.extraction);
+    const minUsage = rules.minUsage || MIN_USAGE_THRESHOLD;
+    const transactionalBundles = new Set([
+        ...(rules.defaults ? TRANSACTIONAL_BUNDLES : []),
+        ...rules.transactional,
+    ]);
+
+    if (shares) {
+        const unweighted = bundles.map(bundle => bundle.name).filter(name => !shares.has(name));
+        if (unweighted.length > 0) {
+            logger.warn(`⚠️ No traffic weight for bundle(s) ${unweighted.join(', ')}: their pageviews count as 0 in common extraction.`);
+        }
+    }
+
     const vendorModules = new Map();
     const commonModules = new Map();
 
@@ -273,7 +406,11 @@ export default function (bundles) {
         const presence = modulePresence.get(moduleName);
         const count = presence.size;
 
-        const isForcedVendor = isCriticalInfrastructure(cleanName);
+        // User rules first: extraction.vendor, then extraction.common, then built-in lists.
+        const isUserVendor = rules.isVendor(moduleName, cleanName);
+        const isUserCommon = !isUserVendor && rules.isCommon(moduleName, cleanName);
+        const isCritical = rules.defaults && isCriticalInfrastructure(cleanName);
+        const isForcedVendor = isUserVendor || (isCritical && !isUserCommon);
         const isConfigured = isExplicitlyCommon(moduleName);
 
         // --- TRANSACTIONAL ISOLATION ---
@@ -281,26 +418,38 @@ export default function (bundles) {
         // Modules shared only between transactional bundles should NOT be promoted
         // to global common, as they would unnecessarily bloat the Homepage/Landing pages.
         const isJustTransactional = [...presence].every(bundleName =>
-            TRANSACTIONAL_BUNDLES.has(bundleName)
+            transactionalBundles.has(bundleName)
         );
 
         // A module is "Shared" if:
-        // 1. Usage count meets threshold (e.g., 2+)
+        // 1. Usage count meets threshold (e.g., 2+), or with traffic weights, its
+        //    promotion saves more bytes than it wastes across weighted pageviews
         // 2. AND it is NOT strictly isolated to transactional flows (Cart+Checkout)
-        const isShared = count >= MIN_USAGE_THRESHOLD && !isJustTransactional;
+        const isUsedEnough = count >= minUsage && (!shares || getPromotionGain(presence, shares) > 0);
+        const isShared = isUsedEnough && !isJustTransactional;
 
-        if (isForcedVendor || isShared || isConfigured) {
+        if (shares && count >= minUsage && !isUsedEnough && !isJustTransactional) {
+            logger.debug(
+                `Kept ${moduleName} out of common: used on ${[...presence].join(', ')} ` +
+                `(gain ${getPromotionGain(presence, shares).toFixed(2)} per byte and pageview).`
+            );
+        }
+
+        if (isForcedVendor || isUserCommon || isShared || isConfigured) {
             // Find the physical path from the first bundle that has it
             const sourceBundle = bundles.find(b => b.modules[moduleName]);
             if (!sourceBundle) return;
 
             const modulePath = sourceBundle.modules[moduleName];
-            const targetType = getTargetBundleType(cleanName);
+            const targetType = getTargetBundleType(cleanName, isCritical);
 
             // Routing Logic:
+            // - Forced common (extraction.common) → Common
             // - Forced vendor OR (vendor-typed AND shared/configured) → Vendor
             // - Everything else → Common
-            if (isForcedVendor || (targetType === 'vendor' && (isShared || isConfigured))) {
+            if (isUserCommon) {
+                commonModules.set(moduleName, modulePath);
+            } else if (isForcedVendor || (targetType === 'vendor' && (isShared || isConfigured))) {
                 vendorModules.set(moduleName, modulePath);
             } else {
                 commonModules.set(moduleName, modulePath);
@@ -0,0 +1,141 @@
+/**
+ * @file lib/generate/extractionRules.js
+ * @description Compiles the `extraction` section of `magepack.config.js`, which overrides
+ * and extends the built-in rules of `extractCommonBundle.js`:
+ *
+ *   extraction: {
+ *       minUsage: 3,                                // Replaces MIN_USAGE_THRESHOLD.
+ *       vendor: ['Acme_Slider/js/lib/*', '/^swiper/'], // Always in vendor.
+ *       common: ['Magento_Theme/js/theme'],         // Always in common, even if critical.
+ *       transactional: ['quickorder'],              // Added to TRANSACTIONAL_BUNDLES.
+ *       defaults: false,                            // Drop the built-in vendor and transactional lists.
+ *   }
+ *
+ * Module rules are matched against the module name with and without its plugin prefix and
+ * `.js` extension (`text!Magento_Ui/template/x.html` and `Magento_Ui/template/x.html`):
+ *   - exact names: `Magento_Customer/js/customer-data`;
+ *   - globs: `*` matches within a path segment, `**` across segments (`Acme_Slider/js/**`);
+ *   - regular expressions: `RegExp` objects or `/pattern/flags` strings.
+ *
+ * @module generate/extractionRules
+ */
+
+/**
+ * Keys accepted in the `extraction` section.
+ * @type {string[]}
+ */
+const EXTRACTION_KEYS = ['minUsage', 'vendor', 'common', 'transactional', 'defaults'];
+
+/**
+ * Converts a glob into an anchored regular expression.
+ *
+ * @param {string} glob - The glob (`*` within a segment, `**` across segments).
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+    const source = glob
+        .split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Compiles one module rule into a predicate.
+ *
+ * @param {string|RegExp} rule - An exact name, a glob, a `/regex/` string or a RegExp.
+ * @param {string} label - The config key, for error messages.
+ * @returns {function(string): boolean}
+ * @throws {Error} On empty rules and invalid regular expressions.
+ */
+const compileRule = (rule, label) => {
+    if (rule instanceof RegExp) return name => rule.test(name);
+
+    if (typeof rule !== 'string' || rule.trim() === '') {
+        throw new Error(`Invalid config: ${label} rules must be module names, globs or regular expressions.`);
+    }
+
+    const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            const pattern = new RegExp(regexMatch[1], regexMatch[2]);
+            return name => pattern.test(name);
+        } catch (e) {
+            throw new Error(`Invalid config: ${label} has an invalid regular expression "${rule}": ${e.message}`);
+        }
+    }
+
+    if (rule.includes('*')) {
+        const pattern = globToRegExp(rule);
+        return name => pattern.test(name);
+    }
+
+    return name => name === rule;
+};
+
+/**
+ * Compiles a list of module rules into one predicate, tested on the raw and the
+ * cleaned module name.
+ *
+ * @param {Array<string|RegExp>} [rules] - The rules.
+ * @param {string} label - The config key, for error messages.
+ * @returns {function(string, string): boolean} `(moduleName, cleanName) => boolean`.
+ * @throws {Error} When the list is not an array or a rule is invalid.
+ */
+const compileRules = (rules, label) => {
+    if (rules === undefined) return () => false;
+
+    if (!Array.isArray(rules)) {
+        throw new Error(`Invalid config: ${label} must be an array of module names, globs or regular expressions.`);
+    }
+
+    const predicates = rules.map(rule => compileRule(rule, label));
+    return (moduleName, cleanName) => predicates.some(test => test(moduleName) || test(cleanName));
+};
+
+/**
+ * Validates and compiles the `extraction` config section.
+ *
+ * @param {Object} [extraction] - The `extraction` section of `magepack.config.js`.
+ * @returns {{
+ *   minUsage: (number|undefined),
+ *   isVendor: function(string, string): boolean,
+ *   isCommon: function(string, string): boolean,
+ *   transactional: string[],
+ *   defaults: boolean
+ * }} The compiled rules; `minUsage` is undefined when not overridden.
+ * @throws {Error} On unknown keys or invalid values.
+ */
+export default (extraction = {}) => {
+    if (extraction === null || typeof extraction !== 'object' || Array.isArray(extraction)) {
+        throw new Error('Invalid config: "extraction" must be an object.');
+    }
+
+    const unknownKeys = Object.keys(extraction).filter(key => !EXTRACTION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Invalid config: unknown extraction key(s) ${unknownKeys.join(', ')}. Expected ${EXTRACTION_KEYS.join(', ')}.`);
+    }
+
+    const { minUsage, transactional = [], defaults = true } = extraction;
+
+    if (minUsage !== undefined && (!Number.isInteger(minUsage) || minUsage < 1)) {
+        throw new Error(`Invalid config: extraction.minUsage must be a positive integer, got "${minUsage}".`);
+    }
+
+    if (!Array.isArray(transactional) || transactional.some(name => typeof name !== 'string')) {
+        throw new Error('Invalid config: extraction.transactional must be an array of bundle names.');
+    }
+
+    if (typeof defaults !== 'boolean') {
+        throw new Error('Invalid config: extraction.defaults must be true or false.');
+    }
+
+    return {
+        minUsage,
+        isVendor: compileRules(extraction.vendor, 'extraction.vendor'),
+        isCommon: compileRules(extraction.common, 'extraction.common'),
+        transactional,
+        defaults,
+    };
+};
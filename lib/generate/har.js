@@ -0,0 +1,209 @@
+/**
+ * @file lib/generate/har.js
+ * @description Builds bundles from HAR files instead of a live Puppeteer session.
+ *
+ * `magepack generate --from-har <dir>` reads every `*.har` file of a directory (exported
+ * from browser devtools or QA tooling). Each recorded page becomes one sample of a bundle:
+ *   - named after the page type detected from the `<body>` classes of the recorded HTML
+ *     document, when the HAR contains response bodies (see `pageType.js`);
+ *   - otherwise named after the HAR file (`product.har`, `product-2.har` → `product`), which
+ *     must then be a valid, non-reserved bundle name (see `validateBundleName()`).
+ *
+ * Static requests under `static/[versionN/]frontend/<Vendor>/<Theme>/<locale>/` are mapped
+ * back to RequireJS module IDs the way `stripBaseUrl` does in `collectModules.js`:
+ * `Magento_Catalog/js/price-box.js` → `Magento_Catalog/js/price-box`, and HTML templates
+ * → `text!Magento_Ui/template/modal/modal-popup.html`.
+ *
+ * Pages exported with `pageTimings` (`onContentLoad`, `onLoad`) also give the load time of
+ * each module (end of its request), used by `--critical-until` (see `loadTiming.js`).
+ *
+ * A HAR only records file paths: modules loaded through a RequireJS `paths` alias
+ * (e.g. `jquery`) appear under their file path (`jquery/jquery`).
+ *
+ * @module generate/har
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import logger from '../utils/logger.js';
+import aggregateModules, { DEFAULT_AGGREGATION } from './aggregateModules.js';
+import mapStaticUrl, { isExcludedModule } from './mapStaticUrl.js';
+import { resolveHandle, getPageType } from './pageType.js';
+import { recordLoadTimings } from './loadTiming.js';
+import { validateBundleName } from './pageDefinitions.js';
+
+/**
+ * Derives a bundle name from a HAR file name: `product-2.har` → `product`.
+ *
+ * @param {string} file - The HAR file name.
+ * @returns {string}
+ */
+const nameFromFile = (file) => {
+    return path.basename(file, path.extname(file)).replace(/[-_.]\d+$/, '').toLowerCase();
+};
+
+/**
+ * Detects the page type from the recorded HTML document, when its body was exported.
+ *
+ * @param {Array<Object>} entries - The HAR entries of one page.
+ * @returns {string|null} The bundle name (page type or layout handle), or null.
+ */
+const detectRecordedPageType = (entries) => {
+    const documentEntry = entries.find(entry =>
+        entry._resourceType === 'document'
+        || (entry.response && entry.response.content && /text\/html/.test(entry.response.content.mimeType || ''))
+    );
+    const html = documentEntry && documentEntry.response && documentEntry.response.content
+        ? documentEntry.response.content.text
+        : null;
+    if (!html) return null;
+
+    const bodyMatch = html.match(/<body[^>]*\sclass=["']([^"']*)["']/i);
+    if (!bodyMatch) return null;
+
+    const handle = resolveHandle(bodyMatch[1].split(/\s+/).filter(Boolean));
+    return getPageType(handle) || handle;
+};
+
+/**
+ * Extracts the module map of one recorded page, in request order.
+ *
+ * @param {Array<Object>} entries - The HAR entries of one page.
+ * @param {Map<string, number>} [moduleSizes] - Receives the uncompressed size of each module.
+ * @returns {Object<string, string>} Module name to path map.
+ */
+const collectPageModules = (entries, moduleSizes) => {
+    const modules = {};
+
+    [...entries]
+        .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime))
+        .forEach((entry) => {
+            const status = entry.response ? entry.response.status : 0;
+            if (status < 200 || status >= 400) return;
+
+            const module = mapStaticUrl(entry.request.url);
+            if (!module || isExcludedModule(module.name) || module.name in modules) return;
+
+            modules[module.name] = module.path;
+
+            const size = entry.response.content && entry.response.content.size;
+            if (moduleSizes && size > 0) moduleSizes.set(module.name, size);
+        });
+
+    return modules;
+};
+
+/**
+ * Records the load time of the modules of one recorded page against its DOMContentLoaded and
+ * load milestones. Pages without `startedDateTime` or `pageTimings` are skipped.
+ *
+ * @param {Object} page - The HAR page.
+ * @param {Array<Object>} entries - The HAR entries of the page.
+ * @param {Object<string, string>} modules - The modules of the page.
+ * @param {Map<string, Set<string>>} moduleTimings - Receives the milestones each module loaded before.
+ */
+const recordPageTimings = (page, entries, modules, moduleTimings) => {
+    const start = Date.parse(page.startedDateTime);
+    const timings = page.pageTimings || {};
+    if (Number.isNaN(start) || !(timings.onContentLoad > 0 || timings.onLoad > 0)) return;
+
+    const loadTimes = {};
+    entries.forEach((entry) => {
+        const module = mapStaticUrl(entry.request.url);
+        if (!module || !(module.name in modules)) return;
+
+        const end = Date.parse(entry.startedDateTime) - start + (entry.time || 0);
+        if (!Number.isNaN(end) && !(loadTimes[module.name] <= end)) loadTimes[module.name] = end;
+    });
+
+    recordLoadTimings(moduleTimings, loadTimes, {
+        domcontentloaded: timings.onContentLoad,
+        load: timings.onLoad,
+    });
+};
+
+/**
+ * Reads the HAR files of a directory and builds one bundle per page type.
+ *
+ * @param {string} dir - The directory holding the `*.har` files.
+ * @param {Object} config - The generation configuration.
+ * @param {string} [config.aggregation] - How samples of one page type are combined.
+ * @param {string} [config.only] - Comma-separated bundle names to keep.
+ * @param {Map<string, number>} [config.moduleSizes] - Receives the uncompressed size of each module.
+ * @param {Map<string, Set<string>>} [config.moduleTimings] - Receives the milestones each module loaded before.
+ * @returns {Promise<Array<Object>>} The bundles, before common module extraction.
+ * @throws {Error} When the directory holds no HAR file, a file name is not a valid bundle name
+ *   or no module could be mapped.
+ */
+export default async (dir, config) => {
+    const harDir = path.resolve(dir);
+    const files = (await fs.readdir(harDir)).filter(file => /\.har$/i.test(file)).sort();
+
+    if (files.length === 0) {
+        throw new Error(`No .har file found in ${harDir}.`);
+    }
+
+    /** @type {Map<string, {url: string, samples: Array<Object>}>} */
+    const samplesByBundle = new Map();
+
+    for (const file of files) {
+        let har;
+        try {
+            har = JSON.parse(await fs.readFile(path.join(harDir, file), 'utf8'));
+        } catch (e) {
+            throw new Error(`Could not read HAR file ${file}: ${e.message}`);
+        }
+
+        const log = har && har.log;
+        if (!log || !Array.isArray(log.entries)) {
+            throw new Error(`Invalid HAR file ${file}: missing "log.entries".`);
+        }
+
+        // Entries without page reference (some exporters) form a single page.
+        const pages = Array.isArray(log.pages) && log.pages.length > 0 ? log.pages : [{ id: undefined, title: '' }];
+
+        for (const page of pages) {
+            const entries = page.id === undefined
+                ? log.entries
+                : log.entries.filter(entry => entry.pageref === page.id);
+
+            const bundleName = detectRecordedPageType(entries) || nameFromFile(file);
+            validateBundleName(bundleName, `HAR file ${path.basename(file)}, rename it after its page type`);
+            const modules = collectPageModules(entries, config.moduleSizes);
+            const pageUrl = page.title || (entries[0] && entries[0].request.url) || '';
+
+            if (config.moduleTimings) recordPageTimings(page, entries, modules, config.moduleTimings);
+
+            logger.debug(`[${bundleName}] ${Object.keys(modules).length} module(s) in ${file} (${pageUrl})`);
+
+            if (!samplesByBundle.has(bundleName)) {
+                samplesByBundle.set(bundleName, { url: pageUrl, samples: [] });
+            }
+            samplesByBundle.get(bundleName).samples.push(modules);
+        }
+    }
+
+    const allowedNames = config.only
+        ? new Set(config.only.split(',').map(s => s.trim().toLowerCase()))
+        : null;
+    const aggregation = config.aggregation || DEFAULT_AGGREGATION;
+    const bundles = [];
+
+    samplesByBundle.forEach(({ url, samples }, name) => {
+        if (allowedNames && !allowedNames.has(name)) {
+            logger.info(`Skipping bundle "${name}" (not in --only list).`);
+            return;
+        }
+
+        const modules = aggregateModules(samples, aggregation);
+        logger.info(`📼 [${name}] ${samples.length} recorded page(s), ${Object.keys(modules).length} module(s).`);
+        bundles.push({ name, url, modules });
+    });
+
+    if (bundles.every(bundle => Object.keys(bundle.modules).length === 0)) {
+        throw new Error(`No RequireJS module found in the HAR files of ${harDir}. Were they recorded on a Magento storefront?`);
+    }
+
+    return bundles;
+};
@@ -0,0 +1,110 @@
+/**
+ * @file lib/generate/loadTiming.js
+ * @description Splits page bundles into a critical part and a deferred part by module load time.
+ *
+ * The `onResourceLoad` hook of `configurePage.js` stamps every module with `performance.now()`
+ * when RequireJS defines it; `collectModules()` compares those stamps with three milestones of
+ * the page and records, per module, the milestones it loaded before:
+ *
+ * - `domcontentloaded`: end of the `DOMContentLoaded` handlers;
+ * - `load`: end of the `load` handlers;
+ * - `interaction`: first scroll, click, tap or key press of a scripted interaction (see
+ *   `runInteractions.js`); the collector's auto-scroll does not count. Never reached on
+ *   pages without interactions, where nothing is deferred.
+ *
+ * With `--critical-until <milestone>`, the modules of each page bundle loaded after the
+ * milestone on every sample move to a `<name>-deferred` bundle. The critical part keeps the
+ * bundle name and loads as before; RequireJS only fetches the deferred part when one of its
+ * modules is required, i.e. after idle, on scroll or on interaction. A module without a
+ * recorded time (HAR files without page timings, access logs) stays critical.
+ *
+ * @module generate/loadTiming
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Accepted `--critical-until` milestones.
+ * @type {string[]}
+ */
+export const MILESTONES = ['domcontentloaded', 'load', 'interaction'];
+
+/**
+ * Bundles shared by every page, never split.
+ * @type {string[]}
+ */
+const SHARED_BUNDLES = ['vendor', 'common'];
+
+/**
+ * Validates a `--critical-until` value.
+ *
+ * @param {string} milestone - The milestone name.
+ * @returns {string} The milestone, lowercased.
+ * @throws {Error} When the milestone is unknown.
+ */
+export const parseMilestone = (milestone) => {
+    const name = String(milestone).toLowerCase();
+
+    if (!MILESTONES.includes(name)) {
+        throw new Error(`Invalid --critical-until value "${milestone}". Expected ${MILESTONES.map(m => `"${m}"`).join(', ')}.`);
+    }
+
+    return name;
+};
+
+/**
+ * Records, per module, the milestones it loaded before on one page sample. A module loaded
+ * before a milestone on any sample stays before it.
+ *
+ * @param {Map<string, Set<string>>} moduleTimings - The milestones reached before each module loaded, being recorded.
+ * @param {Object<string, number>} loadTimes - Load time of each module, in ms since navigation start.
+ * @param {Object<string, number>} milestones - Time of each milestone on the page; missing when it never happened.
+ */
+export const recordLoadTimings = (moduleTimings, loadTimes, milestones) => {
+    Object.entries(loadTimes).forEach(([moduleName, time]) => {
+        if (!moduleTimings.has(moduleName)) moduleTimings.set(moduleName, new Set());
+
+        MILESTONES.forEach((milestone) => {
+            const at = milestones[milestone];
+            // A milestone never reached (no interaction) does not defer anything.
+            if (!(at > 0) || time <= at) moduleTimings.get(moduleName).add(milestone);
+        });
+    });
+};
+
+/**
+ * Splits every page bundle into `<name>` (modules loaded before the milestone) and
+ * `<name>-deferred` (the others). Vendor and common bundles are left whole.
+ *
+ * @param {Array<Object>} bundles - The final bundles (after common extraction).
+ * @param {Object} options
+ * @param {string} options.criticalUntil - The milestone closing the critical part.
+ * @param {Map<string, Set<string>>} options.moduleTimings - The recorded load timings.
+ * @returns {Array<Object>} The bundles, each split page bundle followed by its deferred part.
+ */
+export default (bundles, { criticalUntil, moduleTimings }) => {
+    const milestone = parseMilestone(criticalUntil);
+
+    if (moduleTimings.size === 0) {
+        logger.warn(`⚠️ No module load time recorded: bundles are not split at "${milestone}".`);
+        return bundles;
+    }
+
+    const isDeferred = moduleName => moduleTimings.has(moduleName) && !moduleTimings.get(moduleName).has(milestone);
+
+    return bundles.flatMap((bundle) => {
+        if (SHARED_BUNDLES.includes(bundle.name)) return [bundle];
+
+        const entries = Object.entries(bundle.modules);
+        const deferred = entries.filter(([moduleName]) => isDeferred(moduleName));
+
+        if (deferred.length === 0 || deferred.length === entries.length) return [bundle];
+
+        logger.info(`⏱️  "${bundle.name}": ${entries.length - deferred.length} critical module(s), ${deferred.length} deferred after ${milestone}.`);
+
+        return [
+            { ...bundle, modules: Object.fromEntries(entries.filter(([moduleName]) => !isDeferred(moduleName))) },
+            { ...bundle, name: `${bundle.name}-deferred`, modules: Object.fromEntries(deferred) },
+        ];
+    });
+};
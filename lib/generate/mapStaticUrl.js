@@ -0,0 +1,75 @@
+/**
+ * @file lib/generate/mapStaticUrl.js
+ * @description Maps recorded static file requests back to RequireJS module IDs.
+ *
+ * Used by the offline generators (`har.js`, `accessLog.js`), which only see request URLs.
+ * Mirrors `stripBaseUrl` in `collectModules.js`: the `static/[versionN/]frontend/<Vendor>/<Theme>/<locale>/`
+ * prefix is stripped, `.js` / `.min.js` removed and HTML templates prefixed with `text!`.
+ *
+ * @module generate/mapStaticUrl
+ */
+
+import excludedModules from './excludedModules.js';
+
+/**
+ * Checks a module against `excludedModules.js` (exact and prefix rules).
+ *
+ * @param {string} moduleName - The module ID.
+ * @returns {boolean}
+ */
+export const isExcludedModule = (moduleName) => {
+    return excludedModules.some(rule => moduleName === rule || moduleName.startsWith(rule));
+};
+
+/**
+ * Path of a deployed static file: `.../static/[version123/]frontend/<Vendor>/<Theme>/<locale>/<file>`.
+ * @type {RegExp}
+ */
+const STATIC_FILE_REGEX = /\/static\/(?:version\d+\/)?frontend\/[^/]+\/[^/]+\/[^/]+\/(.+)$/;
+
+/**
+ * Static files that are not RequireJS modules (loader, configs, translations, bundles).
+ * @type {RegExp[]}
+ */
+const NON_MODULE_FILES = [
+    /^requirejs\/require(\.min)?\.js$/,
+    /^requirejs-config(\.min)?\.js$/,
+    /^requirejs-min-resolver(\.min)?\.js$/,
+    /^requirejs-map(\.min)?\.js$/,
+    /^sri-hashes\.json$/,
+    /^js-translation\.json$/,
+    /^magepack\//,
+];
+
+/**
+ * Maps a static file URL to its RequireJS module ID and path.
+ *
+ * @param {string} url - The request URL, absolute or path-only (access logs).
+ * @returns {{name: string, path: string}|null} The module, or null for non-module files.
+ */
+export default (url) => {
+    let pathname;
+    try {
+        pathname = new URL(url, 'http://localhost').pathname;
+    } catch (e) {
+        return null;
+    }
+
+    const match = pathname.match(STATIC_FILE_REGEX);
+    if (!match) return null;
+
+    const file = decodeURIComponent(match[1]);
+    if (NON_MODULE_FILES.some(pattern => pattern.test(file))) return null;
+
+    if (/\.html$/.test(file)) {
+        return { name: `text!${file}`, path: file };
+    }
+
+    if (/\.js$/.test(file)) {
+        // With static minification on, RequireJS requests `<module>.min.js`.
+        const modulePath = file.replace(/(\.min)?\.js$/, '');
+        return { name: modulePath, path: modulePath };
+    }
+
+    return null;
+};
@@ -0,0 +1,175 @@
+/**
+ * @file lib/generate/moduleGraph.js
+ * @description RequireJS dependency graph recorded during `generate`.
+ *
+ * The `onResourceLoad` hook of `configurePage.js` captures the dependency list (depMaps) of
+ * every module RequireJS defines; `collectModules()` adds those of the collected modules to
+ * a `Map<moduleName, Set<dependency>>` shared by all collectors of a run. The graph is used
+ * to order modules topologically inside each bundle and is written next to the config as
+ * `magepack.graph.json`, read by `magepack why <module>`:
+ *
+ *   {
+ *     "modules": {
+ *       "Magento_Catalog/js/price-box": {
+ *         "bundles": ["product"], "size": 5120,
+ *         "deps": ["jquery", "Magento_Catalog/js/price-utils"], "dependents": ["Magento_Swatches/js/swatch-renderer"]
+ *       }
+ *     }
+ *   }
+ *
+ * @module generate/moduleGraph
+ */
+
+import fs from 'node:fs';
+
+import logger from '../utils/logger.js';
+
+/**
+ * Adds dependency lists to the graph, unioned with the lists recorded on other pages.
+ *
+ * @param {Map<string, Set<string>>} moduleGraph - The graph being recorded.
+ * @param {Object<string, string[]>} dependencies - Dependencies per module name.
+ */
+export const recordDependencies = (moduleGraph, dependencies) => {
+    Object.entries(dependencies).forEach(([moduleName, deps]) => {
+        if (!moduleGraph.has(moduleName)) moduleGraph.set(moduleName, new Set());
+        deps.forEach(dep => moduleGraph.get(moduleName).add(dep));
+    });
+};
+
+/**
+ * Orders the modules of a bundle so every module comes after its dependencies in the same
+ * bundle. Modules are otherwise kept in their collected order (Kahn's algorithm, always
+ * taking the earliest ready module); modules in a dependency cycle keep their order.
+ *
+ * @param {Object<string, string>} modules - The bundle modules, in collected order.
+ * @param {Map<string, Set<string>>} moduleGraph - The dependency graph.
+ * @returns {Object<string, string>} The same modules, topologically ordered.
+ */
+export const orderModules = (modules, moduleGraph) => {
+    const names = Object.keys(modules);
+    const inBundle = new Set(names);
+
+    /** @type {Map<string, number>} Pending in-bundle dependencies per module. */
+    const pending = new Map();
+    /** @type {Map<string, string[]>} In-bundle dependents per module. */
+    const dependents = new Map();
+
+    names.forEach((name) => {
+        const deps = [...(moduleGraph.get(name) || [])].filter(dep => inBundle.has(dep) && dep !== name);
+        pending.set(name, deps.length);
+        deps.forEach((dep) => {
+            if (!dependents.has(dep)) dependents.set(dep, []);
+            dependents.get(dep).push(name);
+        });
+    });
+
+    const ordered = [];
+    const done = new Set();
+
+    while (ordered.length < names.length) {
+        // Earliest ready module, or the earliest remaining one to break a cycle.
+        const next = names.find(name => !done.has(name) && pending.get(name) === 0)
+            || names.find(name => !done.has(name));
+
+        ordered.push(next);
+        done.add(next);
+        (dependents.get(next) || []).forEach(name => pending.set(name, pending.get(name) - 1));
+    }
+
+    return Object.fromEntries(ordered.map(name => [name, modules[name]]));
+};
+
+/**
+ * Builds the `magepack.graph.json` content.
+ *
+ * @param {Map<string, Set<string>>} moduleGraph - The dependency graph.
+ * @param {Array<Object>} bundles - The generated bundles (all bundle sets).
+ * @param {Map<string, number>} [moduleSizes] - The recorded module sizes.
+ * @returns {{modules: Object<string, Object>}}
+ */
+export const buildGraphReport = (moduleGraph, bundles, moduleSizes = new Map()) => {
+    /** @type {Map<string, Set<string>>} */
+    const bundlesByModule = new Map();
+    bundles.forEach((bundle) => {
+        Object.keys(bundle.modules).forEach((moduleName) => {
+            if (!bundlesByModule.has(moduleName)) bundlesByModule.set(moduleName, new Set());
+            bundlesByModule.get(moduleName).add(bundle.name);
+        });
+    });
+
+    /** @type {Map<string, Set<string>>} */
+    const dependentsByModule = new Map();
+    moduleGraph.forEach((deps, moduleName) => {
+        deps.forEach((dep) => {
+            if (!dependentsByModule.has(dep)) dependentsByModule.set(dep, new Set());
+            dependentsByModule.get(dep).add(moduleName);
+        });
+    });
+
+    const names = [...new Set([...moduleGraph.keys(), ...bundlesByModule.keys()])].sort();
+    const modules = {};
+
+    names.forEach((moduleName) => {
+        modules[moduleName] = {
+            bundles: [...(bundlesByModule.get(moduleName) || [])],
+            size: moduleSizes.get(moduleName) || null,
+            deps: [...(moduleGraph.get(moduleName) || [])],
+            dependents: [...(dependentsByModule.get(moduleName) || [])].sort(),
+        };
+    });
+
+    return { modules };
+};
+
+/**
+ * Writes the dependency graph next to the config, when one was recorded.
+ *
+ * @param {string} outputPath - Absolute path of `magepack.graph.json`.
+ * @param {Map<string, Set<string>>} moduleGraph - The dependency graph.
+ * @param {Array<Object>} bundles - The generated bundles (all bundle sets).
+ * @param {Map<string, number>} [moduleSizes] - The recorded module sizes.
+ */
+export const writeGraph = (outputPath, moduleGraph, bundles, moduleSizes) => {
+    if (moduleGraph.size === 0) return;
+
+    fs.writeFileSync(outputPath, `${JSON.stringify(buildGraphReport(moduleGraph, bundles, moduleSizes), null, 2)}\n`);
+    logger.info(`Dependency graph saved to: ${outputPath}`);
+};
+
+/**
+ * Finds the shortest dependency chain from a root module (one nothing depends on, i.e.
+ * required directly by the page) down to the given module.
+ *
+ * @param {Object<string, Object>} modules - The `modules` of `magepack.graph.json`.
+ * @param {string} moduleName - The module to explain.
+ * @returns {string[]|null} The chain, root first, or null when the module is unknown.
+ */
+export const findDependencyChain = (modules, moduleName) => {
+    if (!modules[moduleName]) return null;
+
+    // Breadth-first search up the dependents, so the first root found is the closest.
+    const previous = new Map([[moduleName, null]]);
+    const queue = [moduleName];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const dependents = (modules[current] && modules[current].dependents) || [];
+
+        if (dependents.length === 0) {
+            const chain = [];
+            for (let node = current; node !== null; node = previous.get(node)) chain.push(node);
+            return chain;
+        }
+
+        dependents.forEach((dependent) => {
+            if (!previous.has(dependent)) {
+                previous.set(dependent, current);
+                queue.push(dependent);
+            }
+        });
+    }
+
+    // Only cycles above the module: report it alone.
+    return [moduleName];
+};
@@ -0,0 +1,128 @@
+/**
+ * @file lib/generate/pageDefinitions.js
+ * @description Normalizes the declarative `pages` section of `magepack.config.js`.
+ *
+ * Each entry declares one page type to collect, producing one bundle named after it:
+ *
+ *   pages: [
+ *       { name: 'search', url: 'https://mysite.test/catalogsearch/result/?q=bag' },
+ *       { name: 'brand', urls: ['https://mysite.test/brand/acme.html'], timeout: 60 },
+ *       { name: 'product', urls: [simpleUrl, configurableUrl, bundleUrl], aggregation: '50%' },
+ *       { name: 'store-locator', url: 'https://mysite.test/stores', throttling: 'slow-4g+cpu-4x' },
+ *       { name: 'cart', interactions: [{ action: 'click', selector: '.action.showcart' }] },
+ *   ]
+ *
+ * An entry whose name matches a built-in collector (`cms`, `category`, `product`)
+ * overrides the CLI URL flag for that collector when it declares URLs. An entry
+ * without URLs only sets options (e.g. `interactions`) for the built-in bundle.
+ *
+ * @module generate/pageDefinitions
+ */
+
+import { parseAggregation } from './aggregateModules.js';
+import { validateInteractions } from './runInteractions.js';
+import { parseThrottling } from './throttling.js';
+
+/**
+ * Bundle names reserved for the shared bundles emitted by `extractCommonBundle.js`, and for
+ * the `lazy` bundle of `--coverage lazy` (see `coverage.js`).
+ * @type {Set<string>}
+ */
+const RESERVED_NAMES = new Set(['vendor', 'common', 'lazy']);
+
+/**
+ * Allowed bundle names. The name ends up in the `bundle-<name>.js` file name and
+ * in the `magepack/bundle-<name>` RequireJS ID, so it must be path-safe. Lowercase only:
+ * `--only` matches names lowercased, and reserved names must not pass in another case.
+ * @type {RegExp}
+ */
+const NAME_REGEX = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Checks that a bundle name collected from another source than the `pages` section (HAR file
+ * names...) is path-safe and not reserved.
+ *
+ * @param {string} name - The bundle name.
+ * @param {string} source - Where the name comes from, for error messages.
+ * @throws {Error} On invalid or reserved names.
+ */
+export const validateBundleName = (name, source) => {
+    if (!NAME_REGEX.test(name)) {
+        throw new Error(`Invalid bundle name "${name}" (${source}): use lowercase letters, digits, "-" or "_".`);
+    }
+
+    if (RESERVED_NAMES.has(name)) {
+        throw new Error(`Invalid bundle name "${name}" (${source}): "${name}" is reserved for shared bundles.`);
+    }
+};
+
+/**
+ * Validates and normalizes the raw `pages` config section.
+ *
+ * @param {Array<Object>} [rawPages] - The `pages` array from `magepack.config.js`.
+ * @returns {Array<{name: string, urls: string[], timeout?: number, aggregation?: string, interactions?: Array<Object>, throttling?: Object|null}>}
+ *   Normalized page definitions.
+ * @throws {Error} When an entry is malformed or a name is declared twice.
+ */
+export const normalizePages = (rawPages) => {
+    if (rawPages === undefined || rawPages === null) return [];
+
+    if (!Array.isArray(rawPages)) {
+        throw new Error('Invalid config: "pages" must be an array of page definitions.');
+    }
+
+    const seen = new Set();
+
+    return rawPages.map((page, i) => {
+        if (!page || typeof page.name !== 'string' || !NAME_REGEX.test(page.name)) {
+            throw new Error(
+                `Invalid config: pages[${i}] needs a "name" made of lowercase letters, digits, "-" or "_".`
+            );
+        }
+
+        if (RESERVED_NAMES.has(page.name)) {
+            throw new Error(`Invalid config: page name "${page.name}" is reserved for shared bundles.`);
+        }
+
+        if (seen.has(page.name)) {
+            throw new Error(`Invalid config: page "${page.name}" is declared more than once.`);
+        }
+        seen.add(page.name);
+
+        const urls = [].concat(page.urls || [], page.url || []);
+
+        if (urls.some(url => typeof url !== 'string' || !url)) {
+            throw new Error(`Invalid config: page "${page.name}" has an empty or non-string URL.`);
+        }
+
+        if (page.aggregation !== undefined) {
+            // Throws with a descriptive message on unknown modes.
+            parseAggregation(page.aggregation);
+        }
+
+        if (page.interactions !== undefined) {
+            validateInteractions(page.interactions, `page "${page.name}"`);
+        }
+
+        const definition = { ...page, urls };
+        delete definition.url;
+
+        if (page.throttling !== undefined) {
+            // Resolved once: null for 'none', which disables --throttling on this page.
+            definition.throttling = parseThrottling(page.throttling, `page "${page.name}"`);
+        }
+
+        return definition;
+    });
+};
+
+/**
+ * Finds the declared page definition for a bundle name.
+ *
+ * @param {Object} config - The generation configuration object.
+ * @param {string} name - The bundle name.
+ * @returns {Object|undefined} The normalized page definition, if declared.
+ */
+export const findPageDefinition = (config, name) => {
+    return (config.pages || []).find(page => page.name === name);
+};
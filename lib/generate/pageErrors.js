@@ -0,0 +1,146 @@
+/**
+ * @file lib/generate/pageErrors.js
+ * @description Collects JavaScript errors of the visited pages and leaves broken modules out of the config.
+ *
+ * A third-party module failing on the storefront fails again once bundled. For every page,
+ * `configurePage()` records:
+ *   - console errors and uncaught page errors (including `Script error.`);
+ *   - RequireJS `onError` events (`scripterror`, `timeout`, `define`...), captured in the page
+ *     by the RequireJS hook;
+ *   - script requests answered with an HTTP error (404, 500...) or failing at network level.
+ *
+ * `collectModules()` turns them into one entry per collected page. A module is marked as failed
+ * when RequireJS reports it (load error, timeout, factory throwing) or when its file failed to
+ * load. Failed modules are removed from every bundle of the session (a module broken on one
+ * page is broken in its bundle) and everything is reported when the collection ends. Uncaught
+ * and console errors are only reported: their stack often points at the caller (jQuery...).
+ *
+ * @module generate/pageErrors
+ */
+
+import logger from '../utils/logger.js';
+import mapStaticUrl from './mapStaticUrl.js';
+
+/**
+ * Number of messages listed per page and category at info level.
+ * @type {number}
+ */
+const REPORT_LIMIT = 5;
+
+/**
+ * Starts recording the errors of a page, kept as `page.magepackErrors`.
+ *
+ * @param {import('puppeteer').Page} page - The page to watch.
+ */
+export const watchPageErrors = (page) => {
+    page.magepackErrors = { console: [], uncaught: [], failedScripts: [] };
+
+    // The record is read at each event: readPageErrors() replaces it.
+    page.on('console', (message) => {
+        if (message.type() === 'error') page.magepackErrors.console.push(message.text());
+    });
+    page.on('pageerror', (error) => {
+        page.magepackErrors.uncaught.push(error.message);
+    });
+    page.on('response', (response) => {
+        if (response.status() >= 400 && response.request().resourceType() === 'script') {
+            page.magepackErrors.failedScripts.push({ url: response.url(), status: response.status() });
+        }
+    });
+    page.on('requestfailed', (request) => {
+        // Existing Magepack bundles and blocked third parties are aborted on purpose by blockMagepack.js.
+        if (request.resourceType() !== 'script' || request.url().includes('magepack/bundle-')) return;
+        const failure = request.failure();
+        if (failure && failure.errorText === 'net::ERR_BLOCKED_BY_CLIENT') return;
+        page.magepackErrors.failedScripts.push({ url: request.url(), status: failure ? failure.errorText : 'failed' });
+    });
+};
+
+/**
+ * Builds the error entry of a collected page and clears the recorded errors, so a collector
+ * collecting the same page twice (cart, then checkout) reports each step once.
+ *
+ * @param {import('puppeteer').Page} page - The page, watched by `watchPageErrors()`.
+ * @param {Array<{type: string, modules: string[], message: string}>} requireErrors - RequireJS `onError` events.
+ * @returns {Object|null} `{url, console, uncaught, requireErrors, failedScripts, failedModules}`,
+ *   or null when the page has no error.
+ */
+export const readPageErrors = (page, requireErrors) => {
+    const errors = page.magepackErrors || { console: [], uncaught: [], failedScripts: [] };
+    page.magepackErrors = { console: [], uncaught: [], failedScripts: [] };
+
+    const failedModules = new Set();
+    requireErrors.forEach(({ modules }) => modules.forEach(name => failedModules.add(name)));
+    errors.failedScripts.forEach(({ url }) => {
+        const module = mapStaticUrl(url);
+        if (module) failedModules.add(module.name);
+    });
+
+    const count = errors.console.length + errors.uncaught.length + errors.failedScripts.length + requireErrors.length;
+    if (count === 0) return null;
+
+    return {
+        url: page.url(),
+        console: errors.console,
+        uncaught: errors.uncaught,
+        requireErrors,
+        failedScripts: errors.failedScripts,
+        failedModules: [...failedModules],
+    };
+};
+
+/**
+ * Removes the failed modules of the recorded pages from every bundle.
+ *
+ * @param {Array<Object>} bundles - The collected bundles.
+ * @param {Array<Object>} pageErrors - The entries returned by `readPageErrors()`.
+ * @returns {Array<Object>} The bundles without failed modules.
+ */
+export const removeFailedModules = (bundles, pageErrors) => {
+    const failed = new Set(pageErrors.flatMap(entry => entry.failedModules));
+    if (failed.size === 0) return bundles;
+
+    // Failed files are known by path, collected modules by ID (which may be a `paths` alias).
+    const isFailed = (moduleName, modulePath) => failed.has(moduleName)
+        || failed.has(String(modulePath).replace(/(\.min)?\.js$/, ''));
+
+    return bundles.map((bundle) => {
+        const kept = Object.entries(bundle.modules).filter(([moduleName, modulePath]) => !isFailed(moduleName, modulePath));
+        const removed = Object.keys(bundle.modules).length - kept.length;
+        if (removed > 0) {
+            logger.warn(`🚫 [${bundle.name}] Left ${removed} failed module(s) out of the bundle.`);
+        }
+        return { ...bundle, modules: Object.fromEntries(kept) };
+    });
+};
+
+/**
+ * Prints the errors recorded on each page, then the modules left out of the config.
+ *
+ * @param {Array<Object>} pageErrors - The entries returned by `readPageErrors()`.
+ */
+export const reportPageErrors = (pageErrors) => {
+    if (pageErrors.length === 0) return;
+
+    const list = (label, messages) => {
+        if (messages.length === 0) return;
+        logger.warn(`     ${label} (${messages.length}):`);
+        messages.slice(0, REPORT_LIMIT).forEach(message => logger.warn(`       ${message}`));
+        if (messages.length > REPORT_LIMIT) logger.warn(`       ... and ${messages.length - REPORT_LIMIT} more (see --debug).`);
+        messages.slice(REPORT_LIMIT).forEach(message => logger.debug(`       ${message}`));
+    };
+
+    logger.warn(`⚠️ JavaScript errors on ${pageErrors.length} page(s):`);
+    pageErrors.forEach((entry) => {
+        logger.warn(`   ${entry.url}`);
+        list('RequireJS errors', entry.requireErrors.map(({ type, modules, message }) => `[${type}] ${modules.join(', ') || message}`));
+        list('Failed scripts', entry.failedScripts.map(({ url, status }) => `${status} ${url}`));
+        list('Uncaught errors', entry.uncaught);
+        list('Console errors', entry.console);
+    });
+
+    const failed = [...new Set(pageErrors.flatMap(entry => entry.failedModules))].sort();
+    if (failed.length > 0) {
+        logger.warn(`🚫 ${failed.length} module(s) failed to load, left out of the config: ${failed.join(', ')}`);
+    }
+};
@@ -0,0 +1,220 @@
+/**
+ * @file lib/generate/pageType.js
+ * @description Detects the Magento page type of a storefront page from its `<body>` classes.
+ *
+ * Magento adds the full action name of the request (the layout handle, e.g.
+ * `catalog-product-view`) as the first class of the `<body>` element. This module maps
+ * those handles to Magepack bundle names.
+ *
+ * @module generate/pageType
+ */
+
+import logger from '../utils/logger.js';
+import configurePage from './configurePage.js';
+
+/**
+ * Layout handles (full action names, dash-separated) per bundle name.
+ * @type {Object<string, string[]>}
+ */
+export const PAGE_TYPES = {
+    cms: ['cms-index-index', 'cms-page-view'],
+    category: ['catalog-category-view'],
+    product: ['catalog-product-view'],
+    cart: ['checkout-cart-index'],
+    checkout: ['checkout-index-index'],
+    search: ['catalogsearch-result-index', 'catalogsearch-advanced-result'],
+    customer: [
+        'customer-account-index',
+        'customer-account-edit',
+        'customer-address-index',
+        'customer-address-form',
+        'sales-order-history',
+        'sales-order-view',
+        'wishlist-index-index',
+        'review-customer-index',
+        'newsletter-manage-index',
+        'vault-cards-listaction',
+    ],
+};
+
+/**
+ * Layout handle of Magento's "404 Not Found" CMS page.
+ * @type {string}
+ */
+export const NOT_FOUND_HANDLE = 'cms-noroute-index';
+
+/**
+ * Page types never assigned from classified URLs: they require a populated cart and
+ * are handled by the dedicated checkout collector.
+ * @type {Set<string>}
+ */
+const TRANSACTIONAL_TYPES = new Set(['cart', 'checkout']);
+
+/**
+ * Shape of a full action name: `<route>-<controller>-<action>`.
+ * @type {RegExp}
+ */
+const HANDLE_REGEX = /^[a-z0-9]+(?:-[a-z0-9_]+){2}$/;
+
+/**
+ * Index of handle → bundle name, built once from `PAGE_TYPES`.
+ * @type {Map<string, string>}
+ */
+const HANDLE_INDEX = new Map(
+    Object.entries(PAGE_TYPES).flatMap(([type, handles]) => handles.map(handle => [handle, type]))
+);
+
+/**
+ * Picks the layout handle out of a list of `<body>` classes.
+ *
+ * A known handle wins wherever it appears; otherwise the first class shaped like a full
+ * action name is used (Magento always adds it first).
+ *
+ * @param {string[]} bodyClasses - The classes of the `<body>` element.
+ * @returns {string|null} The layout handle, or null when none is found.
+ */
+export const resolveHandle = (bodyClasses) => {
+    const known = bodyClasses.find(cls => HANDLE_INDEX.has(cls) || cls === NOT_FOUND_HANDLE);
+    if (known) return known;
+
+    return bodyClasses.find(cls => HANDLE_REGEX.test(cls)) || null;
+};
+
+/**
+ * Maps a layout handle to its bundle name.
+ *
+ * @param {string|null} handle - The layout handle.
+ * @returns {string|null} The bundle name (e.g. `product`), or null for unknown handles.
+ */
+export const getPageType = (handle) => {
+    return (handle && HANDLE_INDEX.get(handle)) || null;
+};
+
+/**
+ * Reads the `<body>` classes of a loaded page and detects its page type.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page, after navigation.
+ * @returns {Promise<{handle: string|null, type: string|null}>}
+ */
+export const detectPageType = async (page) => {
+    const bodyClasses = await page.evaluate(
+        () => (document.body ? Array.from(document.body.classList) : [])
+    );
+    const handle = resolveHandle(bodyClasses);
+
+    return { handle, type: getPageType(handle) };
+};
+
+/**
+ * Resolves the layout handles a bundle's pages are expected to render.
+ *
+ * A page definition may set `expect` to one or more page types (`product`) or layout
+ * handles (`catalog-product-view`). Otherwise the bundle name is looked up in `PAGE_TYPES`.
+ *
+ * @param {string} bundleName - The bundle name.
+ * @param {Object} [pageDefinition] - The declared page definition, if any.
+ * @returns {string[]|null} Accepted handles, or null when the page type is not checked.
+ */
+export const resolveExpectedHandles = (bundleName, pageDefinition) => {
+    if (pageDefinition && pageDefinition.expect) {
+        return [].concat(pageDefinition.expect).flatMap(value => PAGE_TYPES[value] || [value]);
+    }
+
+    return PAGE_TYPES[bundleName] || null;
+};
+
+/**
+ * Detects the page type of a loaded page and fails when it is not the expected one,
+ * e.g. a product URL redirecting to a category or rendering the 404 page.
+ *
+ * A page without any recognizable handle (custom theme stripping body classes) only
+ * triggers a warning.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page, after navigation.
+ * @param {string} bundleName - The bundle being collected, for the error message.
+ * @param {string[]|null} expectedHandles - Accepted handles (see `resolveExpectedHandles`).
+ * @param {string} requestedUrl - The URL that was requested.
+ * @returns {Promise<{handle: string|null, type: string|null}>}
+ * @throws {Error} On page type mismatch.
+ */
+export const assertPageType = async (page, bundleName, expectedHandles, requestedUrl) => {
+    const detected = await detectPageType(page);
+
+    if (!detected.handle) {
+        logger.warn(`⚠️ [${bundleName}] Could not detect the page type of ${requestedUrl} (no layout handle in <body> classes).`);
+        return detected;
+    }
+
+    logger.debug(`[${bundleName}] Detected page type "${detected.handle}" on ${requestedUrl}`);
+
+    if (!expectedHandles || expectedHandles.includes(detected.handle)) {
+        return detected;
+    }
+
+    const finalUrl = page.url();
+    const redirect = finalUrl && finalUrl !== requestedUrl ? ` (redirected to ${finalUrl})` : '';
+    const rendered = detected.handle === NOT_FOUND_HANDLE
+        ? `the 404 page (${NOT_FOUND_HANDLE})`
+        : `"${detected.handle}"${detected.type ? ` (${detected.type} page)` : ''}`;
+
+    throw new Error(
+        `Page type mismatch for bundle "${bundleName}": ${requestedUrl}${redirect} rendered ${rendered}, ` +
+        `expected ${expectedHandles.join(' or ')}. Fix the URL, set "expect" on the page definition, ` +
+        `or run with --no-page-type-check.`
+    );
+};
+
+/**
+ * Visits URLs one at a time and groups them by detected page type.
+ *
+ * URLs answering with an HTTP error, rendering the 404 page, a cart/checkout page or
+ * no recognizable handle are skipped. Page types without a bundle name mapping are
+ * grouped under their layout handle.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext - The browser context.
+ * @param {string[]} urls - The URLs to classify.
+ * @param {Object} config - The generation configuration (timeout in milliseconds).
+ * @param {Object} [options]
+ * @param {number} [options.samples=Infinity] - Maximum URLs kept per page type.
+ * @param {Function} [options.isSatisfied] - Called with the groups before each visit; returning true stops early.
+ * @returns {Promise<Object<string, string[]>>} URLs keyed by bundle name (or layout handle).
+ */
+export const classifyUrls = async (browserContext, urls, config, { samples = Infinity, isSatisfied } = {}) => {
+    /** @type {Object<string, string[]>} */
+    const discovered = {};
+
+    for (const url of urls) {
+        if (isSatisfied && isSatisfied(discovered)) break;
+
+        const page = await configurePage(browserContext, config);
+
+        try {
+            const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.timeout });
+
+            if (response && response.status() >= 400) {
+                logger.debug(`URL skipped (HTTP ${response.status()}): ${url}`);
+                continue;
+            }
+
+            const { handle, type } = await detectPageType(page);
+            const bundleName = type || handle;
+
+            if (!bundleName || handle === NOT_FOUND_HANDLE || TRANSACTIONAL_TYPES.has(bundleName)) {
+                logger.debug(`URL skipped (page type "${handle || 'unknown'}"): ${url}`);
+                continue;
+            }
+
+            discovered[bundleName] = discovered[bundleName] || [];
+            if (discovered[bundleName].length < samples) {
+                discovered[bundleName].push(url);
+                logger.debug(`URL classified as "${bundleName}" (${handle}): ${url}`);
+            }
+        } catch (error) {
+            logger.warn(`⚠️ Could not classify URL ${url}: ${error.message}`);
+        } finally {
+            await page.close();
+        }
+    }
+
+    return discovered;
+};
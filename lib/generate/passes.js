@@ -0,0 +1,127 @@
+/**
+ * @file lib/generate/passes.js
+ * @description Repeated visits (`--passes N`) keeping only the modules seen on enough passes.
+ *
+ * Headless collection is not deterministic: modules loaded by timers, lazy images or A/B
+ * scripts come and go between runs, and every change of the config invalidates the bundle
+ * cache. With `--passes N`, each page URL is visited N times; a module is kept when it shows
+ * up in at least `--stability` of the passes (default `50%`). Modules missing from at least
+ * one pass are "unstable": they are recorded per bundle and reported once generation ends.
+ *
+ * The checkout collector fills a cart and walks through the checkout steps: it runs once.
+ *
+ * @module generate/passes
+ */
+
+import logger from '../utils/logger.js';
+import aggregateModules, { parseAggregation } from './aggregateModules.js';
+
+/**
+ * Default `--stability` threshold.
+ * @type {string}
+ */
+export const DEFAULT_STABILITY = '50%';
+
+/**
+ * Parses a `--passes` value.
+ *
+ * @param {string|number} value - The number of passes.
+ * @returns {number} A positive integer.
+ * @throws {Error} When the value is not a positive integer.
+ */
+export const parsePasses = (value) => {
+    const passes = Number(value);
+
+    if (!Number.isInteger(passes) || passes < 1) {
+        throw new Error(`Invalid --passes value "${value}". Expected a positive integer.`);
+    }
+
+    return passes;
+};
+
+/**
+ * Validates a `--stability` value: a percentage of passes such as `'60%'`.
+ *
+ * @param {string} stability - The threshold.
+ * @returns {number} The minimum share of passes, between 0 (exclusive) and 1.
+ * @throws {Error} When the value is not a percentage.
+ */
+export const parseStability = (stability) => {
+    if (!/^\s*\d+(?:\.\d+)?%\s*$/.test(String(stability))) {
+        throw new Error(`Invalid --stability value "${stability}". Expected a percentage of passes such as "60%".`);
+    }
+
+    return parseAggregation(stability);
+};
+
+/**
+ * Visits a page once per pass and keeps the modules seen on enough passes.
+ *
+ * @param {Function} visit - Async function collecting the module map of one visit.
+ * @param {Object} options
+ * @param {number} [options.passes=1] - Number of visits.
+ * @param {string} [options.stability='50%'] - Minimum share of passes a kept module appears in.
+ * @param {string} options.bundleName - The bundle name, for the report.
+ * @param {string} options.url - The visited URL, for the report.
+ * @param {Array<Object>} [options.unstableModules] - Receives `{bundle, url, module, count, passes, kept}` entries.
+ * @returns {Promise<Object<string, string>>} The stable module map.
+ */
+export const collectPasses = async (visit, { passes = 1, stability = DEFAULT_STABILITY, bundleName, url, unstableModules }) => {
+    if (passes <= 1) return visit();
+
+    const results = [];
+    for (let pass = 1; pass <= passes; pass++) {
+        logger.debug(`[${bundleName}] Pass ${pass}/${passes} on ${url}`);
+        results.push(await visit());
+    }
+
+    const modules = aggregateModules(results, stability);
+
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    results.forEach(result => Object.keys(result).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+
+    const unstable = [...counts].filter(([, count]) => count < passes);
+    if (unstableModules) {
+        unstable.forEach(([moduleName, count]) => unstableModules.push({
+            bundle: bundleName, url, module: moduleName, count, passes, kept: moduleName in modules,
+        }));
+    }
+
+    logger.info(
+        `[${bundleName}] ${passes} passes on ${url}: ${Object.keys(modules).length} stable module(s), ` +
+        `${unstable.length} unstable.`
+    );
+
+    return modules;
+};
+
+/**
+ * Prints the unstable modules recorded by `collectPasses()`, grouped by bundle.
+ *
+ * @param {Array<Object>} unstableModules - The recorded entries.
+ * @param {string} [stability='50%'] - The `--stability` threshold, for the report.
+ */
+export const reportUnstableModules = (unstableModules, stability = DEFAULT_STABILITY) => {
+    if (unstableModules.length === 0) {
+        logger.info('🎯 Every module showed up in all passes.');
+        return;
+    }
+
+    /** @type {Map<string, Array<Object>>} */
+    const byBundle = new Map();
+    unstableModules.forEach((entry) => {
+        if (!byBundle.has(entry.bundle)) byBundle.set(entry.bundle, []);
+        byBundle.get(entry.bundle).push(entry);
+    });
+
+    logger.warn(`⚠️ ${unstableModules.length} unstable module(s) (missing from some passes, kept when seen on at least ${stability} of them):`);
+    byBundle.forEach((entries, bundleName) => {
+        logger.warn(`   [${bundleName}]`);
+        entries
+            .sort((a, b) => b.count - a.count || a.module.localeCompare(b.module))
+            .forEach(({ module, url, count, passes, kept }) => {
+                logger.warn(`     ${kept ? 'kept   ' : 'dropped'} ${module} (${count}/${passes} passes on ${url})`);
+            });
+    });
+};
@@ -0,0 +1,150 @@
+/**
+ * @file lib/generate/requestRules.js
+ * @description Compiles the `requestBlocking` section of `magepack.config.js` into the
+ * predicate `blockMagepack.js` uses to abort requests during collection.
+ *
+ *   requestBlocking: {
+ *       defaults: true,                        // Built-in lists below (false to drop them).
+ *       domains: ['cdn.acme-reviews.com'],     // Hosts blocked with their subdomains.
+ *       resourceTypes: ['font', 'media'],      // Puppeteer resource types.
+ *       urlPatterns: ['*pixel.gif*', '/[?&]utm_/'],  // `*` wildcards or /regex/ strings.
+ *       allow: ['static.zdassets.com'],        // Domains or URL patterns never blocked.
+ *   }
+ *
+ * The defaults block analytics, tag managers, chat widgets and images: collection gets faster
+ * and more deterministic, and third-party scripts no longer inject unrelated modules into the
+ * RequireJS registry. `allow` wins over every block rule, defaults included.
+ *
+ * @module generate/requestRules
+ */
+
+/**
+ * Keys accepted in the `requestBlocking` section.
+ * @type {string[]}
+ */
+const REQUEST_BLOCKING_KEYS = ['defaults', 'domains', 'resourceTypes', 'urlPatterns', 'allow'];
+
+/**
+ * Analytics, tag managers, ad pixels, session recorders and chat widgets blocked by default.
+ * @type {string[]}
+ */
+export const DEFAULT_BLOCKED_DOMAINS = [
+    // Analytics and tag managers
+    'google-analytics.com', 'analytics.google.com', 'googletagmanager.com', 'googleadservices.com',
+    'doubleclick.net', 'connect.facebook.net', 'bat.bing.com', 'analytics.tiktok.com', 'snap.licdn.com',
+    'hotjar.com', 'clarity.ms', 'cdn.segment.com', 'mixpanel.com', 'nr-data.net', 'js-agent.newrelic.com',
+    'criteo.com', 'criteo.net', 'js.hs-analytics.net',
+    // Chat widgets
+    'intercom.io', 'intercomcdn.com', 'zdassets.com', 'zopim.com', 'livechatinc.com', 'tawk.to',
+    'client.crisp.chat', 'js.driftt.com', 'code.tidio.co', 'js.hs-scripts.com', 'js.usemessages.com',
+];
+
+/**
+ * Resource types blocked by default.
+ * @type {string[]}
+ */
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = ['image'];
+
+/**
+ * Checks an array option of the section.
+ *
+ * @param {*} value - The option value.
+ * @param {string} key - The option name, for error messages.
+ * @returns {Array<string>}
+ * @throws {Error} When the value is not an array of non-empty strings.
+ */
+const toList = (value, key) => {
+    if (value === undefined) return [];
+
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`Invalid config: requestBlocking.${key} must be an array of non-empty strings.`);
+    }
+
+    return value;
+};
+
+/**
+ * Compiles a URL pattern: a `/regex/flags` string or a string where `*` matches anything.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp}
+ * @throws {Error} On invalid regular expressions.
+ */
+const compileUrlPattern = (pattern) => {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (e) {
+            throw new Error(`Invalid config: requestBlocking has an invalid regular expression "${pattern}": ${e.message}`);
+        }
+    }
+
+    return new RegExp(`^${pattern.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+};
+
+/**
+ * Checks a host against domains, subdomains included.
+ *
+ * @param {string} hostname - The request host.
+ * @param {string[]} domains - The domains.
+ * @returns {boolean}
+ */
+const matchesDomain = (hostname, domains) => {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+};
+
+/**
+ * Validates and compiles the `requestBlocking` config section.
+ *
+ * @param {Object} [requestBlocking] - The `requestBlocking` section of `magepack.config.js`.
+ * @param {boolean} [enabled=true] - False (`--no-block-requests`) to block nothing.
+ * @returns {function({url: string, resourceType: string}): boolean} Whether a request is blocked.
+ * @throws {Error} On unknown keys or invalid values.
+ */
+export default (requestBlocking = {}, enabled = true) => {
+    if (requestBlocking === null || typeof requestBlocking !== 'object' || Array.isArray(requestBlocking)) {
+        throw new Error('Invalid config: "requestBlocking" must be an object.');
+    }
+
+    const unknownKeys = Object.keys(requestBlocking).filter(key => !REQUEST_BLOCKING_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Invalid config: unknown requestBlocking key(s) ${unknownKeys.join(', ')}. Expected ${REQUEST_BLOCKING_KEYS.join(', ')}.`);
+    }
+
+    const { defaults = true } = requestBlocking;
+    if (typeof defaults !== 'boolean') {
+        throw new Error('Invalid config: requestBlocking.defaults must be true or false.');
+    }
+
+    const domains = [...(defaults ? DEFAULT_BLOCKED_DOMAINS : []), ...toList(requestBlocking.domains, 'domains')];
+    const resourceTypes = new Set([
+        ...(defaults ? DEFAULT_BLOCKED_RESOURCE_TYPES : []),
+        ...toList(requestBlocking.resourceTypes, 'resourceTypes'),
+    ]);
+    const urlPatterns = toList(requestBlocking.urlPatterns, 'urlPatterns').map(compileUrlPattern);
+
+    // Allow rules are domains unless they look like a URL pattern.
+    const allow = toList(requestBlocking.allow, 'allow');
+    const allowedDomains = allow.filter(rule => !rule.includes('/') && !rule.includes('*'));
+    const allowedPatterns = allow.filter(rule => !allowedDomains.includes(rule)).map(compileUrlPattern);
+
+    if (!enabled) return () => false;
+
+    return ({ url, resourceType }) => {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (e) {
+            return false;
+        }
+
+        if (matchesDomain(hostname, allowedDomains) || allowedPatterns.some(pattern => pattern.test(url))) {
+            return false;
+        }
+
+        return resourceTypes.has(resourceType)
+            || matchesDomain(hostname, domains)
+            || urlPatterns.some(pattern => pattern.test(url));
+    };
+};
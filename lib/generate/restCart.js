@@ -0,0 +1,185 @@
+/**
+ * @file lib/generate/restCart.js
+ * @description Populates a guest cart through the Magento REST API instead of the product page UI.
+ *
+ * The default cart population (product page, swatches, add-to-cart button, `.message-success`)
+ * relies on Luma markup. With `checkout.cart.strategy = 'rest'`, the checkout collector
+ * instead:
+ *   1. creates a guest cart:          POST {restUrl}guest-carts
+ *   2. adds the configured SKU to it: POST {restUrl}guest-carts/{cartId}/items
+ *   3. opens `attachUrl` in the browser, so the store binds that cart to the browser session.
+ *
+ * Core Magento has no storefront route binding a guest cart to the session: `attachUrl`
+ * must point to one provided by the store (custom controller, cart-sharing extension...).
+ *
+ *   checkout: {
+ *       cart: {
+ *           strategy: 'rest',
+ *           sku: 'MH01',
+ *           qty: 1,
+ *           productOption: { extension_attributes: { configurable_item_options: [{ option_id: '93', option_value: 52 }] } },
+ *           attachUrl: '{baseUrl}cartshare/restore/id/{cartId}',
+ *       },
+ *   }
+ *
+ * @module generate/restCart
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Builds the request headers, with HTTP Basic Auth when configured.
+ *
+ * @param {string} [authUsername] - Basic auth username.
+ * @param {string} [authPassword] - Basic auth password.
+ * @returns {Object<string, string>}
+ */
+const buildHeaders = (authUsername, authPassword) => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+
+    if (authUsername && authPassword) {
+        headers.Authorization = `Basic ${Buffer.from(`${authUsername}:${authPassword}`).toString('base64')}`;
+    }
+
+    return headers;
+};
+
+/**
+ * Sends a JSON POST request to the REST API.
+ *
+ * @param {string} url - The endpoint URL.
+ * @param {Object} body - The request payload.
+ * @param {Object<string, string>} headers - The request headers.
+ * @returns {Promise<any>} The decoded JSON response.
+ * @throws {Error} On HTTP errors, with Magento's error message when available.
+ */
+const postJson = async (url, body, headers) => {
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    const text = await response.text();
+    let payload = null;
+
+    try {
+        payload = text ? JSON.parse(text) : null;
+    } catch (e) {
+        payload = null;
+    }
+
+    if (!response.ok) {
+        const detail = payload && payload.message ? payload.message : text.slice(0, 200);
+        throw new Error(`POST ${url} failed with HTTP ${response.status}: ${detail}`);
+    }
+
+    return payload;
+};
+
+/**
+ * Replaces `{baseUrl}` and `{cartId}` in a URL template.
+ *
+ * @param {string} template - The URL template.
+ * @param {Object<string, string>} values - The placeholder values.
+ * @returns {string}
+ */
+const fillTemplate = (template, values) => {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+};
+
+/**
+ * Resolves the REST API prefix (with trailing slash) for a store base URL.
+ *
+ * @param {Object} cartOptions - The `checkout.cart` config key.
+ * @param {string} baseUrl - The store base URL (with trailing slash).
+ * @returns {string}
+ */
+export const resolveRestUrl = (cartOptions, baseUrl) => {
+    const restUrl = cartOptions.restUrl || `${baseUrl}rest/V1/`;
+    return restUrl.endsWith('/') ? restUrl : `${restUrl}/`;
+};
+
+/**
+ * Checks the `checkout.cart` options, before launching Chrome: a REST cart needs a SKU and
+ * an `attachUrl`, which core Magento cannot provide.
+ *
+ * @param {Object} [checkout] - The `checkout` config key.
+ * @throws {Error} On an unknown strategy or missing REST options.
+ */
+export const validateCartOptions = (checkout) => {
+    const cartOptions = (checkout && checkout.cart) || {};
+    const strategy = cartOptions.strategy || 'ui';
+
+    if (!['ui', 'rest'].includes(strategy)) {
+        throw new Error(`Invalid "checkout.cart.strategy": "${strategy}". Expected "ui" or "rest".`);
+    }
+    if (strategy !== 'rest') return;
+
+    if (!cartOptions.sku) {
+        throw new Error('Missing "checkout.cart.sku" for the REST cart strategy.');
+    }
+    if (!cartOptions.attachUrl) {
+        throw new Error(
+            'Missing "checkout.cart.attachUrl" for the REST cart strategy. Core Magento has no route binding a guest ' +
+            'cart to the browser session: point it to one provided by your store, e.g. "{baseUrl}cartshare/restore/id/{cartId}".'
+        );
+    }
+};
+
+/**
+ * Creates a guest cart and adds the configured item to it.
+ *
+ * @param {string} restUrl - The REST API prefix, e.g. `https://mysite.test/rest/V1/`.
+ * @param {Object} cartOptions - The `checkout.cart` config key (sku, qty, productOption).
+ * @param {Object} [auth] - Basic auth credentials (`authUsername`, `authPassword`).
+ * @returns {Promise<string>} The masked guest cart ID.
+ * @throws {Error} When the SKU is missing or Magento rejects a request.
+ */
+export const createGuestCart = async (restUrl, cartOptions, { authUsername, authPassword } = {}) => {
+    if (!cartOptions.sku) {
+        throw new Error('Missing "checkout.cart.sku" for the REST cart strategy.');
+    }
+
+    const headers = buildHeaders(authUsername, authPassword);
+    const cartId = await postJson(`${restUrl}guest-carts`, {}, headers);
+
+    if (typeof cartId !== 'string' || !cartId) {
+        throw new Error(`Unexpected response from ${restUrl}guest-carts: expected a cart ID.`);
+    }
+
+    const cartItem = {
+        sku: cartOptions.sku,
+        qty: cartOptions.qty || 1,
+        quote_id: cartId,
+    };
+
+    if (cartOptions.productOption) {
+        cartItem.product_option = cartOptions.productOption;
+    }
+
+    await postJson(`${restUrl}guest-carts/${encodeURIComponent(cartId)}/items`, { cartItem }, headers);
+
+    return cartId;
+};
+
+/**
+ * Populates a guest cart through REST and binds it to the page's browser session.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page of the collecting browser context.
+ * @param {Object} config - The generation configuration object.
+ * @param {Object} config.checkout - The `checkout` config key, holding the `cart` options.
+ * @param {string} baseUrl - The store base URL (with trailing slash).
+ * @returns {Promise<string>} The masked guest cart ID.
+ * @throws {Error} When the SKU or `attachUrl` is missing or a REST call fails.
+ */
+export default async (page, config, baseUrl) => {
+    validateCartOptions(config.checkout);
+    const cartOptions = config.checkout.cart;
+
+    const restUrl = resolveRestUrl(cartOptions, baseUrl);
+
+    logger.info(`🛒 Creating a guest cart with "${cartOptions.sku}" through ${restUrl}guest-carts...`);
+    const cartId = await createGuestCart(restUrl, cartOptions, config);
+
+    const attachUrl = new URL(fillTemplate(cartOptions.attachUrl, { baseUrl, cartId }), baseUrl).href;
+    logger.info(`🔗 Attaching cart ${cartId} to the browser session: ${attachUrl}`);
+    await page.goto(attachUrl, { waitUntil: 'networkidle0', timeout: config.timeout });
+
+    return cartId;
+};
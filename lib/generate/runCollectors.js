@@ -0,0 +1,85 @@
+/**
+ * @file lib/generate/runCollectors.js
+ * @description Executes a set of collectors in a browser context and gathers their bundles.
+ *
+ * Collectors are split into two execution groups:
+ *   - parallel: cms, category, product, declared pages — fully independent, run concurrently.
+ *   - sequential: checkout — must run AFTER the parallel phase because it needs
+ *     a populated cart (product page + add-to-cart) to navigate to checkout.
+ *
+ * Each collector is retried and its failure handled by `runCollector()` (see `collectorRetry.js`).
+ *
+ * @module generate/runCollectors
+ */
+
+import logger from '../utils/logger.js';
+import { SEQUENTIAL_COLLECTORS } from './collector/index.js';
+import { runCollector } from './collectorRetry.js';
+
+/**
+ * Appends a collector result (one bundle or an array of bundles) to the list.
+ *
+ * @param {Array<Object>} bundles - The accumulated bundles.
+ * @param {Object|Array<Object>} result - The collector result.
+ */
+const pushResult = (bundles, result) => {
+    if (Array.isArray(result)) {
+        bundles.push(...result);
+    } else {
+        bundles.push(result);
+    }
+};
+
+/**
+ * Runs the given collectors and returns the bundles they produced.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext - The browser context to collect in.
+ * @param {Array<[string, Function]>} collectorEntries - `[name, collectorFn]` pairs.
+ * @param {Object} config - The generation configuration (timeout in milliseconds).
+ * @returns {Promise<Array<Object>>} The collected bundles, in collector order.
+ * @throws {Error} The error of the first failing collector, with the `abort` failure policy.
+ */
+export default async (browserContext, collectorEntries, config) => {
+    const bundles = [];
+    const parallelEntries = [];
+    const sequentialEntries = [];
+
+    for (const [name, collectorFn] of collectorEntries) {
+        (SEQUENTIAL_COLLECTORS.has(name) ? sequentialEntries : parallelEntries).push([name, collectorFn]);
+    }
+
+    // --- PARALLEL PHASE ---
+    if (parallelEntries.length > 0) {
+        logger.info(`Running ${parallelEntries.length} collector(s) in parallel: ${parallelEntries.map(([n]) => n).join(', ')}`);
+
+        const parallelResults = await Promise.allSettled(
+            parallelEntries.map(([name, collectorFn]) =>
+                runCollector(name, collectorFn, browserContext, config)
+                    .then(result => ({ name, result }))
+            )
+        );
+
+        for (const settled of parallelResults) {
+            if (settled.status === 'rejected') {
+                logger.error('A parallel collector failed:');
+                throw settled.reason;
+            }
+            const { name, result } = settled.value;
+            logger.debug(`Collector "${name}" completed.`);
+            pushResult(bundles, result);
+        }
+    }
+
+    // --- SEQUENTIAL PHASE (checkout) ---
+    for (const [name, collectorFn] of sequentialEntries) {
+        try {
+            logger.debug(`Starting sequential collector: ${name}`);
+            pushResult(bundles, await runCollector(name, collectorFn, browserContext, config));
+        } catch (error) {
+            logger.error(`Collector "${name}" failed with error:`);
+            throw error;
+        }
+    }
+
+    return bundles;
+};
@@ -0,0 +1,119 @@
+/**
+ * @file lib/generate/runInteractions.js
+ * @description Replays scripted user interactions on a page before its modules are collected.
+ *
+ * Many modules are only required after a user action: opening the minicart, focusing the
+ * search box, opening the layered navigation on mobile, hovering the mega-menu. A page
+ * definition (`pages` section of `magepack.config.js`) can list such actions:
+ *
+ *   interactions: [
+ *       { action: 'click', selector: '.action.showcart' },
+ *       { action: 'hover', selector: '.navigation .level0' },
+ *       { action: 'type', selector: '#search', text: 'bag' },
+ *       { action: 'scroll-to', selector: '.block.upsell' },
+ *       { action: 'wait-for-selector', selector: '#minicart-content-wrapper' },
+ *       { action: 'wait-ms', ms: 500 },
+ *   ]
+ *
+ * Like the checkout collector's swatch/dropdown handling, a step whose element is missing
+ * is skipped with a warning; mark it `required: true` to fail the collector instead.
+ *
+ * @module generate/runInteractions
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Default timeout (ms) when waiting for an interaction target to appear.
+ * @type {number}
+ */
+const DEFAULT_STEP_TIMEOUT = 5000;
+
+/**
+ * Handlers per action name.
+ * @type {Object<string, function(import('puppeteer').Page, Object): Promise<void>>}
+ */
+const ACTIONS = {
+    click: async (page, step) => {
+        await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout || DEFAULT_STEP_TIMEOUT });
+        await page.click(step.selector);
+    },
+    hover: async (page, step) => {
+        await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout || DEFAULT_STEP_TIMEOUT });
+        await page.hover(step.selector);
+    },
+    type: async (page, step) => {
+        await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout || DEFAULT_STEP_TIMEOUT });
+        await page.focus(step.selector);
+        await page.type(step.selector, String(step.text || ''));
+    },
+    'scroll-to': async (page, step) => {
+        await page.waitForSelector(step.selector, { timeout: step.timeout || DEFAULT_STEP_TIMEOUT });
+        await page.$eval(step.selector, (element) => element.scrollIntoView({ block: 'center' }));
+    },
+    'wait-for-selector': async (page, step) => {
+        await page.waitForSelector(step.selector, { timeout: step.timeout || DEFAULT_STEP_TIMEOUT });
+    },
+    'wait-ms': async (page, step) => {
+        await new Promise(r => setTimeout(r, step.ms));
+    },
+};
+
+/**
+ * Validates an interaction list from the config.
+ *
+ * @param {Array<Object>} interactions - The interaction steps.
+ * @param {string} label - Owner of the list, for error messages (e.g. `page "product"`).
+ * @throws {Error} On unknown actions or missing parameters.
+ */
+export const validateInteractions = (interactions, label) => {
+    if (!Array.isArray(interactions)) {
+        throw new Error(`Invalid config: "interactions" of ${label} must be an array.`);
+    }
+
+    interactions.forEach((step, i) => {
+        if (!step || !Object.prototype.hasOwnProperty.call(ACTIONS, step.action)) {
+            throw new Error(
+                `Invalid config: interactions[${i}] of ${label} has an unknown action. ` +
+                `Expected one of: ${Object.keys(ACTIONS).join(', ')}.`
+            );
+        }
+
+        if (step.action === 'wait-ms') {
+            if (!Number.isFinite(step.ms) || step.ms < 0) {
+                throw new Error(`Invalid config: interactions[${i}] of ${label} ("wait-ms") needs a positive "ms" number.`);
+            }
+        } else if (typeof step.selector !== 'string' || !step.selector) {
+            throw new Error(`Invalid config: interactions[${i}] of ${label} ("${step.action}") needs a "selector".`);
+        }
+    });
+};
+
+/**
+ * Runs the interaction steps in order on a loaded page.
+ *
+ * @param {import('puppeteer').Page} page - A Puppeteer page, after navigation.
+ * @param {Array<Object>} [interactions] - The interaction steps (see module description).
+ * @param {string} bundleName - The bundle being collected, for logging.
+ * @returns {Promise<void>}
+ * @throws {Error} When a step marked `required` fails.
+ */
+export default async (page, interactions, bundleName) => {
+    if (!interactions || interactions.length === 0) return;
+
+    logger.info(`🖱️  [${bundleName}] Running ${interactions.length} interaction(s)...`);
+
+    for (const step of interactions) {
+        const description = step.action === 'wait-ms' ? `wait-ms ${step.ms}` : `${step.action} "${step.selector}"`;
+
+        try {
+            await ACTIONS[step.action](page, step);
+            logger.debug(`[${bundleName}] Interaction done: ${description}`);
+        } catch (error) {
+            if (step.required) {
+                throw new Error(`Required interaction failed on bundle "${bundleName}" (${description}): ${error.message}`);
+            }
+            logger.warn(`⚠️ [${bundleName}] Interaction skipped (${description}): ${error.message}`);
+        }
+    }
+};
@@ -0,0 +1,188 @@
+/**
+ * @file lib/generate/sitemap.js
+ * @description Sitemap-driven page discovery for the `generate` command.
+ *
+ * Reads a `sitemap.xml` (remote URL or local file, optionally gzipped, sitemap indexes
+ * followed), visits a spread-out subset of its URLs to classify them by Magento page
+ * type (see `pageType.js`), and keeps a few samples per type to feed the collectors.
+ *
+ * @module generate/sitemap
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { gunzipSync } from 'node:zlib';
+
+import logger from '../utils/logger.js';
+import { classifyUrls } from './pageType.js';
+
+/**
+ * Maximum depth of nested sitemap indexes followed.
+ * @type {number}
+ */
+const MAX_INDEX_DEPTH = 3;
+
+/**
+ * Decodes the five predefined XML entities.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeXmlEntities = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Reads a sitemap source into a string.
+ *
+ * @param {string} source - An http(s) URL or a local file path.
+ * @param {Object} config - The generation configuration (for Basic Auth credentials).
+ * @returns {Promise<string>} The XML content.
+ */
+const readSource = async (source, config) => {
+    let buffer;
+
+    if (/^https?:\/\//i.test(source)) {
+        const headers = {};
+        if (config.authUsername && config.authPassword) {
+            const token = Buffer.from(`${config.authUsername}:${config.authPassword}`).toString('base64');
+            headers.Authorization = `Basic ${token}`;
+        }
+
+        const response = await fetch(source, { headers });
+        if (!response.ok) {
+            throw new Error(`Could not fetch sitemap ${source}: HTTP ${response.status}`);
+        }
+        buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+        buffer = await fs.readFile(path.resolve(source));
+    }
+
+    // Gzip magic bytes (sitemap.xml.gz)
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = gunzipSync(buffer);
+    }
+
+    return buffer.toString('utf8');
+};
+
+/**
+ * Rewrites the origin of a sitemap URL, e.g. to visit a local stand-in of the production
+ * storefront listed in the sitemap. The base path of `baseUrl` is prepended unless the URL
+ * path already starts with it: `https://prod/fr/women.html` rebased on `https://staging/fr/`
+ * gives `https://staging/fr/women.html`, on `http://localhost/shop/` `http://localhost/shop/fr/women.html`.
+ *
+ * @param {string} url - The URL listed in the sitemap.
+ * @param {string} baseUrl - The replacement base URL (e.g. `http://localhost:8080/`).
+ * @returns {string}
+ */
+const rebaseUrl = (url, baseUrl) => {
+    const source = new URL(url);
+    const target = new URL(baseUrl);
+    const basePath = target.pathname.replace(/\/?$/, '/');
+
+    const pathname = `${source.pathname}/`.startsWith(basePath)
+        ? source.pathname
+        : `${basePath}${source.pathname.replace(/^\//, '')}`;
+
+    return `${target.origin}${pathname}${source.search}`;
+};
+
+/**
+ * Reads a sitemap and returns every page URL it lists, following sitemap indexes.
+ *
+ * @param {string} source - An http(s) URL or a local file path.
+ * @param {Object} config - The generation configuration object.
+ * @param {string} [config.sitemapBaseUrl] - Base URL nested sitemaps are read from.
+ * @param {number} [depth=0] - Current index nesting depth.
+ * @returns {Promise<string[]>} Page URLs in sitemap order, deduplicated.
+ */
+export const readSitemap = async (source, config, depth = 0) => {
+    const xml = await readSource(source, config);
+
+    // <loc> only: <image:loc> entries of product sitemaps are ignored.
+    const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)]
+        .map(match => decodeXmlEntities(match[1]));
+
+    if (!/<sitemapindex[\s>]/.test(xml)) {
+        return [...new Set(locations)];
+    }
+
+    if (depth >= MAX_INDEX_DEPTH) {
+        logger.warn(`⚠️ Sitemap index nesting deeper than ${MAX_INDEX_DEPTH} levels ignored: ${source}`);
+        return [];
+    }
+
+    // Nested sitemaps are read from the stand-in too, like the pages they list.
+    const urls = [];
+    for (const location of locations) {
+        const nested = config.sitemapBaseUrl ? rebaseUrl(location, config.sitemapBaseUrl) : location;
+        urls.push(...await readSitemap(nested, config, depth + 1));
+    }
+
+    return [...new Set(urls)];
+};
+
+/**
+ * Selects `limit` URLs spread evenly across the list, so every section of the sitemap
+ * (homepage, categories, products, CMS pages) gets a chance to be visited.
+ *
+ * @param {string[]} urls
+ * @param {number} limit
+ * @returns {string[]}
+ */
+const spreadSelect = (urls, limit) => {
+    if (urls.length <= limit) return urls;
+
+    const step = urls.length / limit;
+    return Array.from({ length: limit }, (v, i) => urls[Math.floor(i * step)]);
+};
+
+/**
+ * Classifies sitemap URLs by page type and keeps up to `samples` URLs per type.
+ *
+ * URLs are visited one at a time. Discovery stops early once the three core page
+ * types (cms, category, product) each have enough samples.
+ *
+ * @param {import('puppeteer').BrowserContext} browserContext - The browser context.
+ * @param {Object} config - The generation configuration object.
+ * @param {string} config.sitemap - The sitemap URL or file path.
+ * @param {string|number} [config.sitemapSamples=1] - Samples to keep per page type.
+ * @param {string|number} [config.sitemapLimit=30] - Maximum URLs visited for classification.
+ * @param {string} [config.sitemapBaseUrl] - Base URL replacing the origin of sitemap URLs.
+ * @param {number} config.timeout - Navigation timeout in milliseconds.
+ * @returns {Promise<Object<string, string[]>>} Sampled URLs keyed by page type (bundle name).
+ */
+export const discoverSitemapPages = async (browserContext, config) => {
+    const samples = parseInt(config.sitemapSamples, 10) || 1;
+    const limit = parseInt(config.sitemapLimit, 10) || 30;
+
+    logger.info(`🗺️  Reading sitemap: ${config.sitemap}`);
+    let urls = await readSitemap(config.sitemap, config);
+
+    if (urls.length === 0) {
+        throw new Error(`Sitemap ${config.sitemap} does not list any URL.`);
+    }
+
+    if (config.sitemapBaseUrl) {
+        urls = urls.map(url => rebaseUrl(url, config.sitemapBaseUrl));
+    }
+
+    const candidates = spreadSelect(urls, limit);
+    logger.info(`🗺️  ${urls.length} URL(s) in sitemap, classifying ${candidates.length}...`);
+
+    const discovered = await classifyUrls(browserContext, candidates, config, {
+        samples,
+        isSatisfied: (found) => ['cms', 'category', 'product']
+            .every(type => (found[type] || []).length >= samples),
+    });
+
+    Object.entries(discovered).forEach(([type, typeUrls]) => {
+        logger.info(`🗺️  ${type}: ${typeUrls.length} sample(s)`);
+    });
+
+    return discovered;
+};
@@ -0,0 +1,169 @@
+/**
+ * @file lib/generate/splitBundles.js
+ * @description Splits bundles exceeding the `maxBundleSize` byte budget into numbered chunks.
+ *
+ * A 1.2 MB vendor bundle is parsed and compiled in one go, and none of it executes before
+ * the last byte arrives. Over HTTP/2, `vendor-1` ... `vendor-4` download in parallel on the
+ * same connection. Every chunk is a regular bundle: `configInjector.js` declares each one in
+ * `require.config({ bundles })`, so RequireJS fetches a chunk as soon as one of its modules
+ * is required.
+ *
+ * Module sizes are the uncompressed file sizes recorded by `collectModules()` (Resource
+ * Timing) or read from HAR files. Modules used on the same set of page types (same
+ * "signature", taken before common extraction) are kept in the same chunk whenever their
+ * group fits the budget, so a page rarely needs every chunk.
+ *
+ * @module generate/splitBundles
+ */
+
+import logger from '../utils/logger.js';
+import { formatBytes } from '../bundle/service/reporter.js';
+
+/**
+ * Byte multipliers of the accepted size units.
+ * @type {Object<string, number>}
+ */
+const UNITS = { b: 1, kb: 1024, k: 1024, mb: 1024 * 1024, m: 1024 * 1024 };
+
+/**
+ * Parses a byte size (`maxBundleSize` config key, `--request-cost`).
+ *
+ * @param {number|string} value - Bytes, or a size such as `'300KB'` or `'1.5MB'`.
+ * @returns {number} The budget in bytes.
+ * @throws {Error} When the value is not a positive size.
+ */
+export const parseByteSize = (value) => {
+    if (typeof value === 'number' && value > 0) return value;
+
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/);
+    if (match && parseFloat(match[1]) > 0) {
+        return Math.round(parseFloat(match[1]) * UNITS[match[2] || 'b']);
+    }
+
+    throw new Error(`Invalid size "${value}": expected a number of bytes or a size such as "300KB" or "1MB".`);
+};
+
+/**
+ * Records which page bundles use each module, before common extraction empties them.
+ *
+ * @param {Array<{name: string, modules: Object<string, string>}>} bundles - The collected bundles.
+ * @returns {Map<string, string>} The usage signature (sorted bundle names) of each module.
+ */
+export const getModuleSignatures = (bundles) => {
+    const usage = new Map();
+
+    bundles.forEach((bundle) => {
+        Object.keys(bundle.modules).forEach((moduleName) => {
+            if (!usage.has(moduleName)) usage.set(moduleName, []);
+            usage.get(moduleName).push(bundle.name);
+        });
+    });
+
+    return new Map([...usage].map(([moduleName, names]) => [moduleName, names.sort().join(',')]));
+};
+
+/**
+ * Sums the recorded sizes of a bundle's modules.
+ *
+ * @param {Object<string, string>} modules - The bundle modules.
+ * @param {Map<string, number>} moduleSizes - The recorded module sizes.
+ * @returns {number}
+ */
+export const getBundleSize = (modules, moduleSizes) => {
+    return Object.keys(modules).reduce((total, moduleName) => total + (moduleSizes.get(moduleName) || 0), 0);
+};
+
+/**
+ * Packs the modules of one bundle into chunks of at most `maxSize` bytes.
+ *
+ * Modules are grouped by usage signature; each group goes into the first chunk it fits in
+ * (first fit). A group larger than the budget is cut in module order. A single module larger
+ * than the budget gets a chunk of its own. Within a chunk, modules keep the bundle order.
+ *
+ * @param {Object<string, string>} modules - The bundle modules, in execution order.
+ * @param {number} maxSize - The byte budget.
+ * @param {Map<string, number>} moduleSizes - The recorded module sizes.
+ * @param {Map<string, string>} signatures - The usage signature of each module.
+ * @returns {Array<Object<string, string>>} The module maps of the chunks.
+ */
+const packModules = (modules, maxSize, moduleSizes, signatures) => {
+    /** @type {Map<string, string[]>} Modules per signature, in first-appearance order. */
+    const groups = new Map();
+    Object.keys(modules).forEach((moduleName) => {
+        const signature = signatures.get(moduleName) || '';
+        if (!groups.has(signature)) groups.set(signature, []);
+        groups.get(signature).push(moduleName);
+    });
+
+    /** @type {Array<{size: number, names: Set<string>}>} */
+    const chunks = [];
+    const sizeOf = moduleName => moduleSizes.get(moduleName) || 0;
+
+    const addPiece = (names, size) => {
+        let chunk = chunks.find(candidate => candidate.size + size <= maxSize);
+        if (!chunk) {
+            chunk = { size: 0, names: new Set() };
+            chunks.push(chunk);
+        }
+        names.forEach(name => chunk.names.add(name));
+        chunk.size += size;
+    };
+
+    groups.forEach((names) => {
+        const groupSize = names.reduce((total, name) => total + sizeOf(name), 0);
+        if (groupSize <= maxSize) {
+            addPiece(names, groupSize);
+            return;
+        }
+
+        // Oversized group: cut it in order, each piece filling up to the budget.
+        let piece = [];
+        let pieceSize = 0;
+        names.forEach((name) => {
+            if (piece.length > 0 && pieceSize + sizeOf(name) > maxSize) {
+                addPiece(piece, pieceSize);
+                piece = [];
+                pieceSize = 0;
+            }
+            piece.push(name);
+            pieceSize += sizeOf(name);
+        });
+        addPiece(piece, pieceSize);
+    });
+
+    return chunks.map(chunk => Object.fromEntries(
+        Object.entries(modules).filter(([moduleName]) => chunk.names.has(moduleName))
+    ));
+};
+
+/**
+ * Splits every bundle heavier than `maxBundleSize` into `<name>-1`, `<name>-2`... chunks.
+ *
+ * @param {Array<Object>} bundles - The final bundles (after common extraction).
+ * @param {Object} options
+ * @param {number|string} options.maxBundleSize - The byte budget per bundle.
+ * @param {Map<string, number>} options.moduleSizes - The recorded module sizes.
+ * @param {Map<string, string>} [options.signatures] - Usage signatures from `getModuleSignatures()`.
+ * @returns {Array<Object>} The bundles, oversized ones replaced by their chunks in place.
+ */
+export default (bundles, { maxBundleSize, moduleSizes, signatures = new Map() }) => {
+    const maxSize = parseByteSize(maxBundleSize);
+
+    const unsized = bundles.flatMap(bundle => Object.keys(bundle.modules)).filter(name => !moduleSizes.has(name));
+    if (unsized.length > 0) {
+        logger.warn(`⚠️ No recorded size for ${unsized.length} module(s): they count as 0 bytes in the maxBundleSize budget.`);
+        logger.debug(`Modules without size: ${unsized.join(', ')}`);
+    }
+
+    return bundles.flatMap((bundle) => {
+        const size = getBundleSize(bundle.modules, moduleSizes);
+        if (size <= maxSize) return [bundle];
+
+        const chunks = packModules(bundle.modules, maxSize, moduleSizes, signatures);
+        if (chunks.length < 2) return [bundle];
+
+        logger.info(`✂️  Split "${bundle.name}" (${formatBytes(size)}) into ${chunks.length} chunks of at most ${formatBytes(maxSize)}.`);
+
+        return chunks.map((modules, i) => ({ ...bundle, name: `${bundle.name}-${i + 1}`, modules }));
+    });
+};
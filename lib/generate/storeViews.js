@@ -0,0 +1,220 @@
+/**
+ * @file lib/generate/storeViews.js
+ * @description Normalizes the `stores` section of `magepack.config.js` for multi-store generation.
+ *
+ * Each entry describes one store view, collected in its own browser session:
+ *
+ *   stores: [
+ *       { name: 'fr', theme: 'Amadeco/future', baseUrl: 'https://fr.mysite.test/',
+ *         cmsUrl: '', categoryUrl: 'femme.html', productUrl: 'sac-joust.html' },
+ *       { name: 'b2b', theme: 'Acme/b2b', baseUrl: 'https://pro.mysite.test/',
+ *         productUrl: 'https://pro.mysite.test/joust-duffle-bag.html', pages: [...] },
+ *   ]
+ *
+ * Relative URLs are resolved against `baseUrl`. The collection options of `STORE_OPTION_KEYS`
+ * (`sitemap`, `checkout`, `selectors`, `authUsername`, `throttling`, `passes`...) set on an
+ * entry override the global ones for that store, validated like their CLI flags. Options of
+ * the bundle build (`strategy`, `criticalUntil`, `extraction`...) are global. The resulting
+ * bundles are keyed by `theme` (`Vendor/Theme`, as returned by `getLocales()` in `lib/bundle`)
+ * under `bundleSets`.
+ *
+ * @module generate/storeViews
+ */
+
+import aggregateModules, { parseAggregation } from './aggregateModules.js';
+import { validateRetryOptions } from './collectorRetry.js';
+import { normalizePages } from './pageDefinitions.js';
+import { parsePasses, parseStability } from './passes.js';
+import { validateCartOptions } from './restCart.js';
+import { parseThrottling } from './throttling.js';
+
+/**
+ * Allowed store names (used in `magepack.config.<name>.js` file names).
+ * @type {RegExp}
+ */
+const NAME_REGEX = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Theme identifier format, as in `bundle --theme`.
+ * @type {RegExp}
+ */
+const THEME_REGEX = /^[^/]+\/[^/]+$/;
+
+/**
+ * Store entry keys holding one or several page URLs.
+ * @type {string[]}
+ */
+const URL_KEYS = ['cmsUrl', 'categoryUrl', 'productUrl', 'url'];
+
+/**
+ * Store entry keys describing the store itself, not generation options.
+ * @type {string[]}
+ */
+const STORE_KEYS = ['name', 'theme', 'baseUrl'];
+
+/**
+ * Generation options a store entry may override, besides its URLs and `pages`.
+ * @type {string[]}
+ */
+const STORE_OPTION_KEYS = [
+    'sitemap', 'sitemapSamples', 'sitemapLimit', 'sitemapBaseUrl', 'checkout', 'selectors',
+    'authUsername', 'authPassword', 'pageTypeCheck', 'aggregation', 'passes', 'stability',
+    'throttling', 'retries', 'retryDelay', 'onCollectorFailure',
+];
+
+/**
+ * Validates and parses the option overrides of a store entry, as `generate.js` does for the CLI flags.
+ *
+ * @param {Object} normalized - The store entry being normalized, modified in place.
+ * @throws {Error} On unknown keys or invalid values, naming the store.
+ */
+const parseStoreOptions = (normalized) => {
+    const allowedKeys = [...STORE_KEYS, ...URL_KEYS, 'pages', ...STORE_OPTION_KEYS];
+    const unknownKeys = Object.keys(normalized).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(
+            `Invalid config: store "${normalized.name}" sets unknown or global-only option(s) ${unknownKeys.join(', ')}. ` +
+            `Stores may set ${[...URL_KEYS, 'pages', ...STORE_OPTION_KEYS].join(', ')}.`
+        );
+    }
+
+    try {
+        if (normalized.aggregation !== undefined) parseAggregation(normalized.aggregation);
+        if (normalized.passes !== undefined) normalized.passes = parsePasses(normalized.passes);
+        if (normalized.stability !== undefined) parseStability(normalized.stability);
+        if (normalized.throttling !== undefined) {
+            normalized.throttling = parseThrottling(normalized.throttling, `store "${normalized.name}"`);
+        }
+        validateRetryOptions(normalized);
+        if (normalized.checkout !== undefined) validateCartOptions(normalized.checkout);
+    } catch (e) {
+        throw new Error(`Invalid config: store "${normalized.name}": ${e.message}`);
+    }
+};
+
+/**
+ * Resolves a URL against the store base URL.
+ *
+ * @param {string} url - An absolute or relative URL.
+ * @param {string|undefined} baseUrl - The store base URL.
+ * @param {string} storeName - The store name, for error messages.
+ * @returns {string} The absolute URL.
+ * @throws {Error} When the URL is relative and the store has no base URL.
+ */
+const resolveUrl = (url, baseUrl, storeName) => {
+    if (/^https?:\/\//i.test(url)) return url;
+
+    if (!baseUrl) {
+        throw new Error(`Invalid config: store "${storeName}" uses the relative URL "${url}" but has no "baseUrl".`);
+    }
+
+    return new URL(url, baseUrl).href;
+};
+
+/**
+ * Validates the raw `stores` config section and resolves relative URLs.
+ *
+ * @param {Array<Object>} [rawStores] - The `stores` array from `magepack.config.js`.
+ * @returns {Array<Object>} Normalized store entries.
+ * @throws {Error} When an entry is malformed, sets an unknown or invalid option, or a name is declared twice.
+ */
+export const normalizeStores = (rawStores) => {
+    if (rawStores === undefined || rawStores === null) return [];
+
+    if (!Array.isArray(rawStores)) {
+        throw new Error('Invalid config: "stores" must be an array of store views.');
+    }
+
+    const seen = new Set();
+
+    return rawStores.map((store, i) => {
+        if (!store || typeof store.name !== 'string' || !NAME_REGEX.test(store.name)) {
+            throw new Error(`Invalid config: stores[${i}] needs a "name" made of letters, digits, "-" or "_".`);
+        }
+
+        if (seen.has(store.name)) {
+            throw new Error(`Invalid config: store "${store.name}" is declared more than once.`);
+        }
+        seen.add(store.name);
+
+        if (typeof store.theme !== 'string' || !THEME_REGEX.test(store.theme)) {
+            throw new Error(`Invalid config: store "${store.name}" needs a "theme" in the "Vendor/Theme" format.`);
+        }
+
+        const normalized = { ...store };
+
+        if (store.baseUrl) {
+            normalized.baseUrl = store.baseUrl.endsWith('/') ? store.baseUrl : `${store.baseUrl}/`;
+        }
+
+        URL_KEYS.forEach((key) => {
+            if (store[key] === undefined) return;
+            normalized[key] = [].concat(store[key]).map(url => resolveUrl(url, normalized.baseUrl, store.name));
+        });
+
+        if (store.pages !== undefined) {
+            normalized.pages = normalizePages(store.pages).map(page => ({
+                ...page,
+                urls: page.urls.map(url => resolveUrl(url, normalized.baseUrl, store.name)),
+            }));
+        }
+
+        parseStoreOptions(normalized);
+
+        return normalized;
+    });
+};
+
+/**
+ * Builds the generation configuration of one store view.
+ *
+ * CLI URL flags are not shared between stores: each store only visits its own URLs.
+ * Declared pages come from the store entry, or from the global `pages` section.
+ *
+ * @param {Object} generationConfig - The global generation configuration.
+ * @param {Object} store - A normalized store entry.
+ * @returns {Object} The store generation configuration.
+ */
+export const buildStoreConfig = (generationConfig, store) => {
+    const storeConfig = {
+        ...generationConfig,
+        cmsUrl: undefined,
+        categoryUrl: undefined,
+        productUrl: undefined,
+        url: undefined,
+        sitemap: undefined,
+    };
+
+    Object.entries(store).forEach(([key, value]) => {
+        if (!STORE_KEYS.includes(key)) {
+            storeConfig[key] = value;
+        }
+    });
+
+    // Collectors add discovered pages to this list: never share it between stores.
+    storeConfig.pages = (store.pages || generationConfig.pages).map(page => ({ ...page, urls: [...page.urls] }));
+
+    return storeConfig;
+};
+
+/**
+ * Unions the bundles collected on several store views sharing a theme, bundle by bundle.
+ *
+ * @param {Array<Array<Object>>} bundleLists - The bundles collected per store.
+ * @returns {Array<Object>} One bundle per name, modules combined in first-appearance order.
+ */
+export const mergeStoreBundles = (bundleLists) => {
+    const merged = new Map();
+
+    bundleLists.flat().forEach((bundle) => {
+        const existing = merged.get(bundle.name);
+        if (!existing) {
+            merged.set(bundle.name, { ...bundle, modules: { ...bundle.modules } });
+            return;
+        }
+
+        existing.modules = aggregateModules([existing.modules, bundle.modules], 'union');
+    });
+
+    return [...merged.values()];
+};
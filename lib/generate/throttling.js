@@ -0,0 +1,141 @@
+/**
+ * @file lib/generate/throttling.js
+ * @description Network and CPU throttling profiles applied to collector pages through CDP.
+ *
+ * Modules loaded from `IntersectionObserver`, `requestIdleCallback` or slow XHR callbacks show
+ * up differently on a fast CI box than on a mid-range phone. `--throttling <profile>` throttles
+ * every collector page; a page definition may set its own `throttling` (or `'none'`):
+ *
+ *   --throttling slow-4g+cpu-4x
+ *
+ *   pages: [
+ *       { name: 'product', throttling: 'mid-range-mobile' },
+ *       { name: 'search', throttling: { network: { download: 200000, upload: 90000, latency: 300 }, cpu: 2 } },
+ *   ]
+ *
+ * A profile string is one or more profile names joined with `+`. Throttled pages load slower:
+ * raise `--timeout` accordingly.
+ *
+ * @module generate/throttling
+ */
+
+import { PredefinedNetworkConditions } from 'puppeteer';
+
+/**
+ * Throttling profiles per name: network conditions (Puppeteer presets, aligned with
+ * DevTools and Lighthouse) and CPU slowdown rate.
+ * @type {Object<string, {network?: Object, cpu?: number}>}
+ */
+export const THROTTLING_PROFILES = {
+    'none': {},
+    'slow-3g': { network: PredefinedNetworkConditions['Slow 3G'] },
+    'fast-3g': { network: PredefinedNetworkConditions['Fast 3G'] },
+    'slow-4g': { network: PredefinedNetworkConditions['Slow 4G'] },
+    'fast-4g': { network: PredefinedNetworkConditions['Fast 4G'] },
+    'cpu-2x': { cpu: 2 },
+    'cpu-4x': { cpu: 4 },
+    'cpu-6x': { cpu: 6 },
+    // Lighthouse mobile defaults.
+    'mid-range-mobile': { network: PredefinedNetworkConditions['Slow 4G'], cpu: 4 },
+    'low-end-mobile': { network: PredefinedNetworkConditions['Slow 3G'], cpu: 6 },
+};
+
+/**
+ * Checks custom network conditions: throughputs in bytes per second, latency in milliseconds.
+ *
+ * @param {*} network - The network conditions.
+ * @param {string} source - Where the value comes from, for error messages.
+ * @returns {{download: number, upload: number, latency: number}}
+ * @throws {Error} On missing or negative values.
+ */
+const parseNetworkConditions = (network, source) => {
+    if (typeof network === 'string') {
+        const profile = THROTTLING_PROFILES[network];
+        if (!profile || !profile.network) {
+            throw new Error(`Invalid throttling in ${source}: unknown network profile "${network}".`);
+        }
+        return profile.network;
+    }
+
+    const valid = network && ['download', 'upload', 'latency']
+        .every(key => typeof network[key] === 'number' && network[key] >= 0);
+    if (!valid) {
+        throw new Error(
+            `Invalid throttling in ${source}: "network" must be a network profile name or ` +
+            '{download, upload, latency} (bytes per second and milliseconds).'
+        );
+    }
+
+    return { download: network.download, upload: network.upload, latency: network.latency };
+};
+
+/**
+ * Validates a throttling value and resolves it to network conditions and a CPU rate.
+ *
+ * @param {string|Object} value - A profile string (`slow-4g`, `slow-4g+cpu-4x`...) or
+ *   `{network, cpu}` with a network profile name or conditions and a CPU slowdown rate.
+ * @param {string} [source='--throttling'] - Where the value comes from, for error messages.
+ * @returns {{network: Object|null, cpu: number, label: string}|null} The throttling, or null
+ *   when nothing is throttled (`none`).
+ * @throws {Error} On unknown profiles or invalid values.
+ */
+export const parseThrottling = (value, source = '--throttling') => {
+    let network = null;
+    let cpu = 1;
+    let label;
+
+    if (typeof value === 'string') {
+        value.split('+').map(name => name.trim()).forEach((name) => {
+            const profile = THROTTLING_PROFILES[name];
+            if (!profile) {
+                throw new Error(
+                    `Invalid throttling "${value}" in ${source}. Expected profile names joined with "+": ` +
+                    `${Object.keys(THROTTLING_PROFILES).join(', ')}.`
+                );
+            }
+            if (profile.network) network = profile.network;
+            if (profile.cpu) cpu = profile.cpu;
+        });
+        label = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const unknownKeys = Object.keys(value).filter(key => !['network', 'cpu'].includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`Invalid throttling in ${source}: unknown key(s) ${unknownKeys.join(', ')}. Expected network, cpu.`);
+        }
+        if (value.network !== undefined) network = parseNetworkConditions(value.network, source);
+        if (value.cpu !== undefined) {
+            if (typeof value.cpu !== 'number' || value.cpu < 1) {
+                throw new Error(`Invalid throttling in ${source}: "cpu" must be a slowdown rate of 1 or more.`);
+            }
+            cpu = value.cpu;
+        }
+        label = [
+            network && (typeof value.network === 'string' ? value.network : 'custom network'),
+            cpu > 1 && `${cpu}x CPU`,
+        ].filter(Boolean).join(' + ');
+    } else {
+        throw new Error(`Invalid throttling in ${source}: expected a profile name or {network, cpu}.`);
+    }
+
+    if (!network && cpu === 1) return null;
+
+    return { network, cpu, label };
+};
+
+/**
+ * Throttles the network and CPU of a page, before it navigates.
+ *
+ * @param {import('puppeteer').Page} page - The page to throttle.
+ * @param {{network: Object|null, cpu: number}|null} [throttling] - The result of `parseThrottling()`.
+ * @returns {Promise<void>}
+ */
+export const applyThrottling = async (page, throttling) => {
+    if (!throttling) return;
+
+    if (throttling.network) {
+        await page.emulateNetworkConditions(throttling.network);
+    }
+    if (throttling.cpu > 1) {
+        await page.emulateCPUThrottling(throttling.cpu);
+    }
+};
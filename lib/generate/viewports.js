@@ -0,0 +1,117 @@
+/**
+ * @file lib/generate/viewports.js
+ * @description Viewport presets and the combination of bundles collected in several viewports.
+ *
+ * Magento themes load different modules on mobile and desktop (off-canvas navigation,
+ * mega-menus, sticky headers...). With `--all-viewports`, every page is collected in both
+ * viewports in one browser session and the module lists are unioned per bundle.
+ *
+ * @module generate/viewports
+ */
+
+import logger from '../utils/logger.js';
+import aggregateModules from './aggregateModules.js';
+
+/**
+ * Puppeteer viewports per name. Mobile first (Pixel 5 / generic mobile): crucial for
+ * collecting mobile-specific JS logic in Magento.
+ * @type {Object<string, Object>}
+ */
+export const VIEWPORTS = {
+    mobile: {
+        width: 390,
+        height: 844,
+        isMobile: true,
+        hasTouch: true
+    },
+    desktop: {
+        width: 1920,
+        height: 1080,
+        isMobile: false,
+        hasTouch: false
+    },
+};
+
+/**
+ * Name of the bundle receiving desktop-only modules (`--desktop-bundle`).
+ * @type {string}
+ */
+export const DESKTOP_BUNDLE = 'desktop';
+
+/**
+ * Resolves the viewports to collect from the CLI flags.
+ *
+ * @param {Object} generationConfig - The generation configuration.
+ * @param {boolean} [generationConfig.allViewports] - Collect in both viewports.
+ * @param {boolean} [generationConfig.desktop] - Collect in the desktop viewport only.
+ * @returns {string[]} Viewport names, mobile first.
+ */
+export const resolveViewports = (generationConfig) => {
+    if (generationConfig.allViewports) return ['mobile', 'desktop'];
+    return generationConfig.desktop === true ? ['desktop'] : ['mobile'];
+};
+
+/**
+ * Unions the bundles collected in the mobile and desktop viewports, logs the
+ * viewport-specific modules and optionally moves the desktop-only ones to their own bundle.
+ *
+ * A module is desktop-only when no mobile page loaded it. Once in the `desktop` bundle,
+ * RequireJS only downloads that bundle when one of its modules is required, i.e. on desktop.
+ *
+ * @param {Object<string, Array<Object>>} bundlesByViewport - Bundles keyed by viewport name.
+ * @param {Object} [options]
+ * @param {boolean} [options.desktopBundle=false] - Move desktop-only modules to a `desktop` bundle.
+ * @returns {Array<Object>} The combined bundles.
+ * @throws {Error} When `desktopBundle` is set and a page bundle is already named `desktop`.
+ */
+export const combineViewports = (bundlesByViewport, { desktopBundle = false } = {}) => {
+    const mobileBundles = bundlesByViewport.mobile || [];
+    const desktopBundles = bundlesByViewport.desktop || [];
+
+    const mobileModules = new Set(mobileBundles.flatMap(bundle => Object.keys(bundle.modules)));
+    const desktopModules = new Set(desktopBundles.flatMap(bundle => Object.keys(bundle.modules)));
+
+    const names = [...new Set([...mobileBundles, ...desktopBundles].map(bundle => bundle.name))];
+
+    if (desktopBundle && names.includes(DESKTOP_BUNDLE)) {
+        throw new Error(`A bundle is already named "${DESKTOP_BUNDLE}": rename it to use --desktop-bundle.`);
+    }
+
+    logger.info('📐 Viewport-specific modules:');
+
+    const combined = names.map((name) => {
+        const mobile = mobileBundles.find(bundle => bundle.name === name);
+        const desktop = desktopBundles.find(bundle => bundle.name === name);
+        const mobileMap = mobile ? mobile.modules : {};
+        const desktopMap = desktop ? desktop.modules : {};
+
+        const mobileOnly = Object.keys(mobileMap).filter(module => !(module in desktopMap));
+        const desktopOnly = Object.keys(desktopMap).filter(module => !(module in mobileMap));
+
+        logger.info(`  [${name}] ${mobileOnly.length} mobile-only, ${desktopOnly.length} desktop-only.`);
+        mobileOnly.forEach(module => logger.info(`    📱 ${module}`));
+        desktopOnly.forEach(module => logger.info(`    🖥️  ${module}`));
+
+        return {
+            ...(mobile || desktop),
+            modules: aggregateModules([mobileMap, desktopMap], 'union'),
+        };
+    });
+
+    if (!desktopBundle) return combined;
+
+    const desktopOnlyModules = {};
+
+    combined.forEach((bundle) => {
+        Object.keys(bundle.modules).forEach((module) => {
+            if (desktopModules.has(module) && !mobileModules.has(module)) {
+                desktopOnlyModules[module] = bundle.modules[module];
+                delete bundle.modules[module];
+            }
+        });
+    });
+
+    logger.info(`🖥️  Moved ${Object.keys(desktopOnlyModules).length} desktop-only module(s) to the "${DESKTOP_BUNDLE}" bundle.`);
+
+    return [...combined, { name: DESKTOP_BUNDLE, url: '', modules: desktopOnlyModules }];
+};
@@ -0,0 +1,56 @@
+/**
+ * @file lib/why.js
+ * @description Explains why a module is bundled, from the `magepack.graph.json` written by `generate`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import logger from './utils/logger.js';
+import { findDependencyChain } from './generate/moduleGraph.js';
+import { formatBytes } from './bundle/service/reporter.js';
+
+/**
+ * Prints the bundles, dependents and shortest dependency chain of a module.
+ *
+ * A module without dependents was required directly by the page (`data-mage-init`,
+ * `x-magento-init`, inline `require()` calls).
+ *
+ * @param {string} moduleName - The RequireJS module ID (e.g. `Magento_Catalog/js/price-box`).
+ * @param {Object} options - Options passed from the CLI.
+ * @param {string} options.graph - Path of `magepack.graph.json`.
+ * @returns {Promise<void>}
+ * @throws {Error} When the graph cannot be read or does not know the module.
+ */
+export default async (moduleName, options) => {
+    const graphPath = path.resolve(options.graph);
+
+    if (!fs.existsSync(graphPath)) {
+        throw new Error(`Dependency graph not found: ${graphPath}. Run "magepack generate" first.`);
+    }
+
+    const { modules } = JSON.parse(fs.readFileSync(graphPath, 'utf8'));
+    const entry = modules[moduleName];
+
+    if (!entry) {
+        const similar = Object.keys(modules).filter(name => name.includes(moduleName)).slice(0, 10);
+        throw new Error(
+            `Module "${moduleName}" is not in ${path.basename(graphPath)}.` +
+            (similar.length > 0 ? ` Did you mean: ${similar.join(', ')}?` : '')
+        );
+    }
+
+    logger.info(`📦 ${moduleName}${entry.size ? ` (${formatBytes(entry.size)})` : ''}`);
+    logger.info(entry.bundles.length > 0
+        ? `   Bundled in: ${entry.bundles.join(', ')}`
+        : '   Not bundled: loaded individually by RequireJS.');
+
+    if (entry.dependents.length === 0) {
+        logger.info('   Required directly by the page (no module depends on it).');
+    } else {
+        logger.info(`   Required by ${entry.dependents.length} module(s): ${entry.dependents.join(', ')}`);
+        logger.info(`   Shortest chain: ${findDependencyChain(modules, moduleName).join(' → ')}`);
+    }
+
+    logger.info(`   Depends on ${entry.deps.length} module(s)${entry.deps.length > 0 ? `: ${entry.deps.join(', ')}` : '.'}`);
+};